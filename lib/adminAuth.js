@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+/* =======================
+ * Admin auth — bearer token hoặc API key (header X-API-Key), cấu hình từ env
+ * ======================= */
+
+/** "ops:abc123, ci:xyz" ⇒ [{ name: 'ops', key: 'abc123' }, ...]; key không tên ⇒ key1, key2, ... */
+function parseApiKeys(str) {
+  return String(str ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const at = entry.indexOf(":");
+      return at > 0
+        ? { name: entry.slice(0, at).trim(), key: entry.slice(at + 1).trim() }
+        : { name: `key${i + 1}`, key: entry };
+    });
+}
+
+// so sánh hằng thời gian (băm trước để hai vế cùng độ dài)
+const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+const safeEqual = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+/**
+ * Middleware Express: req.admin = { actor } khi hợp lệ.
+ * actor ("bearer" | "key:<tên>") được ghi vào audit log của các thay đổi.
+ * Chưa cấu hình token/key nào ⇒ 503 (admin API tắt), sai/thiếu ⇒ 401.
+ * adminAuth.identify(req) ⇒ actor hoặc null, không trả lỗi (route công khai có thêm quyền cho admin).
+ */
+function createAdminAuth({ token = "", apiKeys = [] } = {}) {
+  function identify(req) {
+    const header = req.get("authorization") || "";
+    const bearer = /^Bearer\s+(.+)$/i.exec(header)?.[1]?.trim();
+    if (token && bearer && safeEqual(bearer, token)) return "bearer";
+    const key = req.get("x-api-key");
+    const match = key ? apiKeys.find((k) => safeEqual(key, k.key)) : null;
+    return match ? `key:${match.name}` : null;
+  }
+
+  function adminAuth(req, res, next) {
+    if (!token && !apiKeys.length) {
+      return res.status(503).json({ error: "Admin API chưa được cấu hình (ADMIN_TOKEN / ADMIN_API_KEYS)." });
+    }
+    const actor = identify(req);
+    if (actor) {
+      req.admin = { actor };
+      return next();
+    }
+    res.set("WWW-Authenticate", 'Bearer realm="admin"');
+    res.status(401).json({ error: "Cần bearer token hoặc X-API-Key hợp lệ." });
+  }
+  adminAuth.identify = identify;
+  return adminAuth;
+}
+
+module.exports = { createAdminAuth, parseApiKeys };
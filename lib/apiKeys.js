@@ -0,0 +1,103 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { NdjsonAppender } = require("./ndjson");
+
+/* =======================
+ * ApiKeyStore — API key của client cho các route công khai (lưu cục bộ, chỉ giữ hash)
+ * ======================= */
+
+const hashKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+/**
+ * NDJSON append-only:
+ *   { type: "issue", id, name, hash, prefix, ratePerMinute, dailyQuota, createdAt, createdBy }
+ *   { type: "revoke", id, revokedAt, revokedBy }
+ * Key dạng "tx_<base64url>" chỉ trả về một lần lúc cấp; ratePerMinute / dailyQuota = null ⇒ mặc định server.
+ */
+class ApiKeyStore {
+  constructor({ file }) {
+    this.file = file;
+    this.byId = new Map();
+    this.byHash = new Map();
+    this.writer = new NdjsonAppender();
+  }
+
+  load() {
+    this.byId.clear();
+    this.byHash.clear();
+    if (!fs.existsSync(this.file)) return 0;
+    for (const line of fs.readFileSync(this.file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      let ev;
+      try {
+        ev = JSON.parse(line);
+      } catch (_e) {
+        continue;
+      }
+      if (ev.type === "issue") {
+        const { type, ...rec } = ev;
+        this.add({ ...rec, revokedAt: null, revokedBy: null });
+      } else if (ev.type === "revoke") {
+        const rec = this.byId.get(ev.id);
+        if (rec) Object.assign(rec, { revokedAt: ev.revokedAt, revokedBy: ev.revokedBy });
+      }
+    }
+    return this.byId.size;
+  }
+
+  add(rec) {
+    this.byId.set(rec.id, rec);
+    this.byHash.set(rec.hash, rec);
+  }
+
+  append(events) {
+    return this.writer.append(this.file, events);
+  }
+
+  /** Cấp key mới ⇒ { key, record }; key thô không được lưu */
+  async issue({ name, ratePerMinute = null, dailyQuota = null, actor = null }) {
+    const key = `tx_${crypto.randomBytes(24).toString("base64url")}`;
+    const rec = {
+      id: crypto.randomUUID(),
+      name,
+      hash: hashKey(key),
+      prefix: key.slice(0, 7),
+      ratePerMinute,
+      dailyQuota,
+      createdAt: new Date().toISOString(),
+      createdBy: actor
+    };
+    await this.append([{ type: "issue", ...rec }]);
+    this.add({ ...rec, revokedAt: null, revokedBy: null });
+    return { key, record: this.view(this.byId.get(rec.id)) };
+  }
+
+  async revoke(id, { actor = null } = {}) {
+    const rec = this.byId.get(id);
+    if (!rec || rec.revokedAt) return rec ? this.view(rec) : null;
+    const ev = { type: "revoke", id, revokedAt: new Date().toISOString(), revokedBy: actor };
+    await this.append([ev]);
+    Object.assign(rec, { revokedAt: ev.revokedAt, revokedBy: ev.revokedBy });
+    return this.view(rec);
+  }
+
+  /** Bản ghi còn hiệu lực của key thô, null nếu không có / đã thu hồi */
+  find(key) {
+    const rec = this.byHash.get(hashKey(key));
+    return rec && !rec.revokedAt ? rec : null;
+  }
+
+  /** Bản ghi công khai (không lộ hash) */
+  view(rec) {
+    const { hash, ...pub } = rec;
+    return { ...pub, status: rec.revokedAt ? "revoked" : "active" };
+  }
+
+  list() {
+    return [...this.byId.values()]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map((r) => this.view(r));
+  }
+}
+
+module.exports = { ApiKeyStore, hashKey };
@@ -0,0 +1,327 @@
+const scoring = require("./scoring");
+const stats = require("./stats");
+const { AdvancedTaiXiuPredictor } = require("./predictor");
+const { Calibrator, expectedCalibrationError, rawConfidence } = require("./calibration");
+const { riskFromConfidence, txLabel, percent } = require("./format");
+
+/* =======================
+ * Walk-forward: tại mỗi điểm cắt chỉ dùng dữ liệu trước đó để dự đoán phiên kế
+ * Một predictor duy nhất, mỗi phiên chỉ observe 1 lần ⇒ một lượt quét tuyến tính.
+ * ======================= */
+// rows: đã normalize và đều có R (T/X)
+// predictorOptions: truyền cho AdvancedTaiXiuPredictor (gồm registry, vd. { registry, regimeOnly })
+// từng bước { cut, pred, realNext } ngay khi tính xong (người dùng dừng sớm được bằng break)
+async function* walkForwardSteps(rows, { warmup = 100, predictorOptions = {} } = {}) {
+  const predictor = new AdvancedTaiXiuPredictor(predictorOptions);
+  await predictor.updateData(rows.slice(0, warmup));
+  for (let cut = warmup; cut < rows.length - 1; cut++) {
+    const pred = await predictor.predict();
+    yield { cut, pred, realNext: rows[cut].R }; // kết quả “phiên sau” tại thời điểm cut
+    await predictor.updateData([rows[cut]]);
+  }
+}
+
+// onStep: gọi sau mỗi điểm cắt (báo tiến độ cho job)
+async function walkForward(rows, { warmup = 100, predictorOptions = {}, onStep = null } = {}) {
+  const steps = [];
+  for await (const step of walkForwardSteps(rows, { warmup, predictorOptions })) {
+    steps.push(step);
+    onStep?.();
+  }
+  return steps;
+}
+
+/** Điểm từng sub-model trên cùng các bước walk-forward (pT riêng của model, trước khi trộn) */
+function perModelScores(steps) {
+  if (!steps.length) return {};
+  const last = steps[steps.length - 1].pred.modelWeights || {};
+  const preds = Object.fromEntries(Object.keys(last).map((k) => [k, []]));
+  for (const { pred, realNext } of steps) {
+    for (const k of Object.keys(preds)) {
+      const pT = pred.diagnostics?.analysis?.[k]?.pT;
+      if (Number.isFinite(pT)) preds[k].push({ pT, real: realNext });
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(preds).map(([k, p]) => [
+      k,
+      { ...scoring.summarize(p), weight_final: scoring.round(last[k]) }
+    ])
+  );
+}
+
+// các model tham gia một lần chạy (ablation bỏ lần lượt từng model trong tập này)
+const activeModels = (predictorOptions) =>
+  predictorOptions.registry.keys({ only: predictorOptions.models ?? null });
+
+/** Số lượt walk-forward của runBacktest: lượt chính + mỗi permutation + mỗi model bị bỏ khi ablation */
+function backtestRuns({ permutations = 0, ablation = false, predictorOptions }) {
+  const models = activeModels(predictorOptions).length;
+  return 1 + permutations + (ablation && models > 1 ? models : 0);
+}
+
+/** Tổng số điểm cắt trên rowCount phiên (tiến độ job, giới hạn route đồng bộ) */
+function backtestSteps(rowCount, { warmup = 100, ...options }) {
+  return Math.max(0, rowCount - 1 - warmup) * backtestRuns(options);
+}
+
+/**
+ * Leave-one-model-out: chạy lại walk-forward mỗi lần bỏ một model ⇒ mức đóng góp của nó.
+ * delta > 0 nghĩa là bỏ model làm kết quả tệ đi (model có ích).
+ */
+async function ablationStudy(rows, full, { warmup, predictorOptions, onStep = null }) {
+  const keys = activeModels(predictorOptions);
+  if (keys.length < 2) return {};
+  const out = {};
+  for (const key of keys) {
+    const weights = predictorOptions.weights
+      ? Object.fromEntries(Object.entries(predictorOptions.weights).filter(([k]) => k !== key))
+      : null;
+    const steps = await walkForward(rows, {
+      warmup,
+      predictorOptions: { ...predictorOptions, models: keys.filter((k) => k !== key), weights },
+      onStep
+    });
+    const without = scoring.summarize(steps.map((s) => ({ pT: s.pred.pT, real: s.realNext })));
+    out[key] = {
+      without,
+      delta_accuracy_percent:
+        full.accuracy_percent == null || without.accuracy_percent == null
+          ? null
+          : Number((full.accuracy_percent - without.accuracy_percent).toFixed(1)),
+      delta_log_loss:
+        full.log_loss == null || without.log_loss == null
+          ? null
+          : scoring.round(without.log_loss - full.log_loss)
+    };
+  }
+  return out;
+}
+
+function walkForwardAccuracy(steps) {
+  if (!steps.length) return null;
+  return steps.filter((s) => s.pred.choice === s.realNext).length / steps.length;
+}
+
+/**
+ * Permutation test: xáo trộn thứ tự các phiên (kèm dice/total) n lần, chạy lại walk-forward
+ * ⇒ phân phối accuracy khi chuỗi không có cấu trúc thời gian (null).
+ */
+async function permutationTest(rows, observed, { n, seed, warmup, predictorOptions, onStep = null }) {
+  const rand = stats.mulberry32(seed);
+  const nullAcc = [];
+  for (let i = 0; i < n; i++) {
+    const steps = await walkForward(stats.shuffle(rows, rand), { warmup, predictorOptions, onStep });
+    nullAcc.push(walkForwardAccuracy(steps));
+  }
+  nullAcc.sort((a, b) => a - b);
+  const mean = nullAcc.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(nullAcc.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / n);
+  const atLeast = nullAcc.filter((a) => a >= observed).length;
+  return {
+    permutations: n,
+    seed,
+    null_mean_percent: Number((mean * 100).toFixed(2)),
+    null_sd_percent: Number((sd * 100).toFixed(2)),
+    null_p05_percent: Number((stats.quantile(nullAcc, 0.05) * 100).toFixed(2)),
+    null_p95_percent: Number((stats.quantile(nullAcc, 0.95) * 100).toFixed(2)),
+    p_value: scoring.round((atLeast + 1) / (n + 1))
+  };
+}
+
+// cặp { x: độ tin cậy thô, y: đúng/sai } từ các bước walk-forward
+function calibrationPoints(steps) {
+  return steps.map((s) => ({ x: rawConfidence(s.pred), y: s.pred.choice === s.realNext ? 1 : 0 }));
+}
+
+/**
+ * Kiểm tra hiệu chuẩn ngoài mẫu: fit trên nửa đầu các bước walk-forward, đo ECE trên nửa sau
+ * (độ tin cậy thô vs đã hiệu chuẩn).
+ */
+function calibrationHoldout(steps, calibrationOptions = {}) {
+  const points = calibrationPoints(steps);
+  const half = Math.floor(points.length / 2);
+  const cal = new Calibrator(calibrationOptions);
+  cal.fit(points.slice(0, half));
+  const test = points.slice(half);
+  return {
+    method: cal.method,
+    status: cal.status,
+    fit_samples: half,
+    evaluated: test.length,
+    hit_rate: test.length ? scoring.round(test.reduce((a, p) => a + p.y, 0) / test.length) : null,
+    ece_raw: scoring.round(expectedCalibrationError(test.map((p) => ({ p: p.x, y: p.y })))),
+    ece_calibrated: scoring.round(
+      expectedCalibrationError(test.map((p) => ({ p: cal.apply(p.x), y: p.y })))
+    )
+  };
+}
+
+// một dòng data của backtest: JSON (runBacktest) và CSV / NDJSON (exportBacktestRows) cùng shape
+function backtestRecord(rows, { cut, pred, realNext }, calibrator = null) {
+  const raw = rawConfidence(pred);
+  const value = calibrator ? calibrator.apply(raw) : raw;
+  return {
+    phien: rows[cut - 1].session,
+    phien_sau: rows[cut - 1].session + 1,
+    du_doan: txLabel(pred.choice),
+    do_tin_cay: percent(value),
+    do_tin_cay_tho: percent(raw),
+    pT: scoring.round(pred.pT),
+    thuc_te: txLabel(realNext),
+    dung_khong: pred.choice === realNext,
+    rui_ro: riskFromConfidence(value)
+  };
+}
+
+/**
+ * Chỉ các dòng data (route ?format=csv|ndjson): ghi từng dòng ngay trong vòng walk-forward, không giữ
+ * các bước trong bộ nhớ và bỏ qua phần tổng hợp (permutation, ablation, hiệu chuẩn holdout, baseline…).
+ *  - write(rec): trả false khi client đã ngắt ⇒ dừng tính
+ */
+async function exportBacktestRows(rows, { warmup = 100, predictorOptions, calibrator = null, write }) {
+  for await (const step of walkForwardSteps(rows, { warmup, predictorOptions })) {
+    if (!(await write(backtestRecord(rows, step, calibrator)))) break;
+  }
+}
+
+/**
+ * Backtest đầy đủ trên rows (đã lọc sạch) ⇒ body của /backtest.
+ * Dùng chung cho route đồng bộ và worker của job nền (lib/backtestWorker.js).
+ *  - calibrator: bản hiệu chuẩn live (để hiển thị do_tin_cay như /predict), null ⇒ giữ độ tin cậy thô
+ *  - onProgress(done, total): số điểm cắt đã chạy trên tổng mọi lượt (chính + permutation + ablation)
+ */
+async function runBacktest(
+  rows,
+  {
+    warmup = 100,
+    predictorOptions,
+    bins = 10,
+    ciLevel = 0.95,
+    permutations = 0,
+    seed = 12345,
+    ablation = false,
+    calibrator = null,
+    calibrationOptions = {},
+    configVersion = null,
+    onProgress = null
+  }
+) {
+  const progress = {
+    done: 0,
+    total: backtestSteps(rows.length, { warmup, permutations, ablation, predictorOptions })
+  };
+  const onStep = () => {
+    progress.done++;
+    onProgress?.(progress.done, progress.total);
+  };
+
+  const prefix = { n: 0, countT: 0, last: null }; // tóm tắt rows[0..cut) cho baseline
+  const recs = [];
+  const scored = [];
+  const baselineScored = Object.fromEntries(
+    Object.keys(scoring.BASELINES).map((k) => [k, []])
+  );
+  let correct = 0,
+    totalPred = 0;
+
+  const steps = await walkForward(rows, { warmup, predictorOptions, onStep });
+  for (const step of steps) {
+    const { cut, pred, realNext } = step;
+    totalPred++;
+    if (pred.choice === realNext) correct++;
+
+    scored.push({ pT: pred.pT, real: realNext });
+    for (; prefix.n < cut; prefix.n++) {
+      prefix.last = rows[prefix.n].R;
+      if (prefix.last === "T") prefix.countT++;
+    }
+    for (const [k, rule] of Object.entries(scoring.BASELINES)) {
+      baselineScored[k].push({ pT: rule(prefix), real: realNext });
+    }
+
+    recs.push(backtestRecord(rows, step, calibrator));
+  }
+
+  const acc = totalPred > 0 ? Number(((correct / totalPred) * 100).toFixed(1)) : null;
+
+  const summary = scoring.summarize(scored);
+  const passed = steps.filter((s) => s.pred.passedThreshold);
+  const ci = stats.wilsonInterval(correct, totalPred, ciLevel);
+  const significance = {
+    ci_level: ciLevel,
+    accuracy_ci_percent: totalPred
+      ? [Number((ci.lower * 100).toFixed(1)), Number((ci.upper * 100).toFixed(1))]
+      : null,
+    // H0: accuracy = 50%, H1: > 50% (binomial chính xác, một phía)
+    p_value_vs_50: totalPred ? scoring.round(stats.binomialUpperTail(correct, totalPred, 0.5)) : null,
+    permutation:
+      permutations > 0 && totalPred
+        ? await permutationTest(rows, correct / totalPred, {
+            n: permutations,
+            seed,
+            warmup,
+            predictorOptions,
+            onStep
+          })
+        : null
+  };
+  const { registry, ...params } = predictorOptions;
+  return {
+    evaluated: totalPred,
+    params: {
+      warmup,
+      dataWindow: params.dataWindow,
+      threshold: params.predictionThreshold,
+      models: activeModels(predictorOptions),
+      weights: params.weights ?? "online",
+      configVersion
+    },
+    regime_only: !!params.regimeOnly,
+    accuracy_percent: acc,
+    weights_final: steps.length ? steps[steps.length - 1].pred.modelWeights : null,
+    brier: summary.brier,
+    log_loss: summary.log_loss,
+    // chỉ các phiên vượt ngưỡng (passedThreshold)
+    above_threshold: {
+      predicted: passed.length,
+      coverage_percent: totalPred ? Number(((passed.length / totalPred) * 100).toFixed(1)) : null,
+      accuracy_percent: passed.length
+        ? Number(
+            ((passed.filter((s) => s.pred.choice === s.realNext).length / passed.length) * 100).toFixed(1)
+          )
+        : null
+    },
+    models: perModelScores(steps),
+    ablation: ablation
+      ? await ablationStudy(rows, summary, { warmup, predictorOptions, onStep })
+      : null,
+    significance,
+    reliability: scoring.reliabilityTable(scored, bins),
+    // chọn ngưỡng abstain từ dữ liệu: độ đúng chỉ trên các phiên có max(pT, 1−pT) ≥ ngưỡng
+    coverage_curve: scoring.coverageCurve(scored),
+    calibration: {
+      live: calibrator ? calibrator.describe() : null,
+      holdout: calibrationHoldout(steps, calibrationOptions)
+    },
+    baselines: Object.fromEntries(
+      Object.entries(baselineScored).map(([k, preds]) => [k, scoring.summarize(preds)])
+    ),
+    data: recs
+  };
+}
+
+module.exports = {
+  walkForwardSteps,
+  walkForward,
+  walkForwardAccuracy,
+  perModelScores,
+  backtestRuns,
+  backtestSteps,
+  ablationStudy,
+  permutationTest,
+  calibrationPoints,
+  calibrationHoldout,
+  runBacktest,
+  exportBacktestRows
+};
@@ -0,0 +1,39 @@
+const { parentPort, workerData } = require("worker_threads");
+const { ModelRegistry } = require("./modelRegistry");
+const { Calibrator } = require("./calibration");
+const { runBacktest } = require("./backtest");
+
+/* =======================
+ * Worker thread cho job backtest (lib/jobs.js)
+ * workerData: { rows, options, modelsDir, modelSelection, calibrator, calibrationOptions }
+ *  - options: kết quả backtestOptions() của server (dữ liệu thuần, không có registry)
+ *  - calibrator: Calibrator.snapshot() của bản hiệu chuẩn live lúc tạo job
+ * Registry được dựng lại từ modelsDir vì instance model không chuyển qua thread được.
+ * ======================= */
+
+// gửi tối đa ~200 lần cập nhật tiến độ mỗi job
+const PROGRESS_UPDATES = 200;
+
+async function main() {
+  const registry = new ModelRegistry();
+  registry.loadDirectory(workerData.modelsDir);
+  registry.configure(workerData.modelSelection);
+
+  const { predictorOptions, ...options } = workerData.options;
+  let sent = 0;
+  const result = await runBacktest(workerData.rows, {
+    ...options,
+    predictorOptions: { ...predictorOptions, registry },
+    calibrator: workerData.calibrator ? Calibrator.restore(workerData.calibrator) : null,
+    calibrationOptions: workerData.calibrationOptions,
+    onProgress(done, total) {
+      if (done === total || done - sent >= Math.max(1, Math.floor(total / PROGRESS_UPDATES))) {
+        sent = done;
+        parentPort.postMessage({ type: "progress", done, total });
+      }
+    }
+  });
+  parentPort.postMessage({ type: "result", result });
+}
+
+main().catch((e) => parentPort.postMessage({ type: "error", message: e.message }));
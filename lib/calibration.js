@@ -0,0 +1,245 @@
+/* =======================
+ * Calibration — ánh xạ độ tin cậy thô của ensemble sang tần suất trúng quan sát được
+ * Dữ liệu fit: các cặp { x: độ tin cậy thô, y: 1 nếu dự đoán đúng } từ walk-forward.
+ * ======================= */
+
+/**
+ * Độ tin cậy thô = xác suất ensemble của phía được chọn, max(pT, 1−pT).
+ * (không dùng `confidence` heuristic của SmartEnsembleEngine: bị kẹp ≥ 0.5 và gần như luôn đúng 0.5
+ * ⇒ mọi điểm fit rơi vào một khối, đường cong phẳng)
+ */
+function rawConfidence(pred) {
+  return Number.isFinite(pred?.pT) ? Math.max(pred.pT, 1 - pred.pT) : 0.5;
+}
+
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? x : Number(x.toFixed(d)));
+
+/**
+ * Isotonic (PAV): hàm bậc thang không giảm, mỗi khối { from, to, mean, count }.
+ * Khối ít hơn minBlock điểm được gộp với khối kề (vẫn đơn điệu) — tránh đuôi 0%/100% từ vài mẫu.
+ * Dự đoán nội suy tuyến tính giữa tâm các khối, ngoài biên lấy khối đầu/cuối.
+ */
+function fitIsotonic(points, { minBlock = 30 } = {}) {
+  const merge = (a, b) => ({
+    from: a.from,
+    to: b.to,
+    sum: a.sum + b.sum,
+    count: a.count + b.count,
+    sx: a.sx + b.sx
+  });
+  // điểm trùng x phải chung một khối (độ tin cậy thô hay bị kẹp ở 0.5)
+  const byX = new Map();
+  for (const p of points) {
+    const g = byX.get(p.x) ?? { from: p.x, to: p.x, sum: 0, count: 0, sx: 0 };
+    g.sum += p.y;
+    g.count++;
+    g.sx += p.x;
+    byX.set(p.x, g);
+  }
+  const blocks = [];
+  for (const g of [...byX.values()].sort((a, b) => a.from - b.from)) {
+    blocks.push(g);
+    // gộp ngược khi vi phạm tính đơn điệu
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1];
+      const a = blocks[blocks.length - 2];
+      if (a.sum / a.count <= b.sum / b.count) break;
+      blocks.splice(-2, 2, merge(a, b));
+    }
+  }
+  for (let i = 0; i < blocks.length && blocks.length > 1; ) {
+    if (blocks[i].count >= minBlock) {
+      i++;
+    } else if (i < blocks.length - 1) {
+      blocks.splice(i, 2, merge(blocks[i], blocks[i + 1]));
+    } else {
+      blocks.splice(i - 1, 2, merge(blocks[i - 1], blocks[i]));
+      i--;
+    }
+  }
+  return isotonicModel(
+    blocks.map((b) => ({
+      from: b.from,
+      to: b.to,
+      center: b.sx / b.count,
+      mean: b.sum / b.count,
+      count: b.count
+    }))
+  );
+}
+
+/** Hàm dự đoán từ các khối isotonic (cũng dùng khi khôi phục từ snapshot) */
+function isotonicModel(steps) {
+  return {
+    steps,
+    predict(x) {
+      if (!steps.length) return x;
+      if (x <= steps[0].center) return steps[0].mean;
+      const last = steps[steps.length - 1];
+      if (x >= last.center) return last.mean;
+      for (let i = 1; i < steps.length; i++) {
+        const a = steps[i - 1];
+        const b = steps[i];
+        if (x <= b.center) {
+          const t = b.center > a.center ? (x - a.center) / (b.center - a.center) : 1;
+          return a.mean + t * (b.mean - a.mean);
+        }
+      }
+      return last.mean;
+    }
+  };
+}
+
+/**
+ * Platt: y ≈ σ(a·x + b), fit bằng Newton trên log-likelihood,
+ * nhãn làm mượt theo Platt (1999) để tránh quá khớp khi mẫu nhỏ.
+ */
+function fitPlatt(points, { iterations = 50 } = {}) {
+  const pos = points.filter((p) => p.y === 1).length;
+  const neg = points.length - pos;
+  const hi = (pos + 1) / (pos + 2);
+  const lo = 1 / (neg + 2);
+  let a = 0,
+    b = Math.log((pos + 1) / (neg + 1));
+  for (let it = 0; it < iterations; it++) {
+    let ga = 0,
+      gb = 0,
+      haa = 1e-9,
+      hab = 0,
+      hbb = 1e-9;
+    for (const p of points) {
+      const t = p.y === 1 ? hi : lo;
+      const q = 1 / (1 + Math.exp(-(a * p.x + b)));
+      const w = q * (1 - q);
+      ga += (q - t) * p.x;
+      gb += q - t;
+      haa += w * p.x * p.x;
+      hab += w * p.x;
+      hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (Math.abs(det) < 1e-12) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a -= da;
+    b -= db;
+    if (Math.abs(da) + Math.abs(db) < 1e-9) break;
+  }
+  return plattModel({ a, b });
+}
+
+function plattModel({ a, b }) {
+  return {
+    a,
+    b,
+    predict: (x) => 1 / (1 + Math.exp(-(a * x + b)))
+  };
+}
+
+/** ECE: trung bình có trọng số |độ tin cậy TB − tỷ lệ trúng| trên `bins` khoảng đều */
+function expectedCalibrationError(points, bins = 10) {
+  if (!points.length) return null;
+  const acc = Array.from({ length: bins }, () => ({ n: 0, sp: 0, sy: 0 }));
+  for (const p of points) {
+    const b = acc[Math.min(bins - 1, Math.max(0, Math.floor(p.p * bins)))];
+    b.n++;
+    b.sp += p.p;
+    b.sy += p.y;
+  }
+  return acc.reduce(
+    (e, b) => (b.n ? e + (b.n / points.length) * Math.abs(b.sp / b.n - b.sy / b.n) : e),
+    0
+  );
+}
+
+const METHODS = { isotonic: fitIsotonic, platt: fitPlatt };
+// tham số thuần của bản fit (snapshot) ⇒ model có predict
+const RESTORE = {
+  isotonic: (m) => isotonicModel(m.steps),
+  platt: (m) => plattModel(m)
+};
+
+/**
+ * Calibrator — giữ bản fit hiện hành.
+ * Dưới minSamples cặp: không áp dụng (trả nguyên độ tin cậy thô) và báo trạng thái "thin".
+ */
+class Calibrator {
+  constructor({ method = "isotonic", minSamples = 300 } = {}) {
+    if (!METHODS[method]) throw new Error(`Calibration method không hỗ trợ: ${method}`);
+    this.method = method;
+    this.minSamples = minSamples;
+    this.model = null;
+    this.samples = 0;
+    this.hitRate = null;
+    this.fittedAt = null;
+    this.meta = {};
+  }
+
+  get status() {
+    if (this.fittedAt == null) return "unfitted";
+    return this.model ? "fitted" : "thin";
+  }
+
+  /** points: [{ x: độ tin cậy thô (rawConfidence), y: 0|1 }]; meta: thông tin nguồn dữ liệu (vd. khoảng phiên) */
+  fit(points, meta = {}) {
+    this.samples = points.length;
+    this.hitRate = points.length ? points.reduce((a, p) => a + p.y, 0) / points.length : null;
+    this.model = points.length >= this.minSamples ? METHODS[this.method](points) : null;
+    this.fittedAt = new Date();
+    this.meta = meta;
+    return this;
+  }
+
+  /** Độ tin cậy đã hiệu chuẩn; chưa đủ dữ liệu ⇒ giữ nguyên giá trị thô */
+  apply(raw) {
+    if (!this.model || !Number.isFinite(raw)) return raw;
+    return Math.max(0, Math.min(1, this.model.predict(raw)));
+  }
+
+  /** Bảng tra thô → hiệu chuẩn trên lưới 0.50..0.95 (để xem hình dạng đường cong) */
+  curve(step = 0.05) {
+    const out = [];
+    for (let x = 0.5; x <= 0.95 + 1e-9; x += step) {
+      out.push({ raw: round(x, 2), calibrated: round(this.apply(x)) });
+    }
+    return out;
+  }
+
+  /** Trạng thái dạng dữ liệu thuần (JSON / chuyển sang worker thread) */
+  snapshot() {
+    const { predict, ...model } = this.model ?? {};
+    return {
+      method: this.method,
+      minSamples: this.minSamples,
+      samples: this.samples,
+      hitRate: this.hitRate,
+      fittedAt: this.fittedAt ? this.fittedAt.toISOString() : null,
+      meta: this.meta,
+      model: this.model ? model : null
+    };
+  }
+
+  static restore(snap) {
+    const cal = new Calibrator({ method: snap.method, minSamples: snap.minSamples });
+    cal.samples = snap.samples;
+    cal.hitRate = snap.hitRate;
+    cal.fittedAt = snap.fittedAt ? new Date(snap.fittedAt) : null;
+    cal.meta = snap.meta ?? {};
+    cal.model = snap.model ? RESTORE[snap.method](snap.model) : null;
+    return cal;
+  }
+
+  describe() {
+    return {
+      method: this.method,
+      status: this.status,
+      samples: this.samples,
+      min_samples: this.minSamples,
+      hit_rate: round(this.hitRate),
+      fittedAt: this.fittedAt ? this.fittedAt.toISOString() : null,
+      ...this.meta
+    };
+  }
+}
+
+module.exports = { fitIsotonic, fitPlatt, expectedCalibrationError, rawConfidence, Calibrator, METHODS };
@@ -0,0 +1,208 @@
+/* =======================
+ * Change-point — phát hiện đổi chế độ (regime) bằng CUSUM hai phía, chạy tăng dần
+ * Ba chuỗi: tỷ lệ Tài (T=1), tỷ lệ đảo chiều (phiên khác phiên trước = 1), trung bình tổng.
+ * ======================= */
+
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? x : Number(x.toFixed(d)));
+
+/**
+ * Cusum — CUSUM hai phía trên giá trị chuẩn hóa z = (x − μ) / σ của regime hiện tại.
+ *  - μ ước lượng từ `warmup` quan sát đầu của mỗi regime, co về prior.mean với độ mạnh prior.strength
+ *    (tránh μ nhiễu từ mẫu nhỏ tự gây báo động giả); σ = sdOf(μ, values)
+ *  - k: độ lệch cần bắt, đơn vị σ (≈ nửa bước dịch); h: ngưỡng báo động.
+ *    Mặc định k=0.15, h=25: báo động giả ~1 lần / 6000 phiên mỗi chuỗi (mô phỏng xúc xắc cân đối),
+ *    dịch 0.3σ (vd. tỷ lệ T 50% → 65%) bị bắt sau ~150 phiên.
+ * Khi báo động, điểm đổi = ngay sau lần cuối tổng CUSUM của phía đó bằng 0;
+ * regime mới bắt đầu từ đó; μ, σ được ước lượng lại chỉ từ quan sát *sau* lúc báo động
+ * (đoạn vượt ngưỡng bị chọn lọc nên lệch — dùng nó sẽ gây báo động ngược liền sau).
+ */
+class Cusum {
+  constructor({ k = 0.15, h = 25, warmup = 100, sdOf, prior = null }) {
+    this.k = k;
+    this.h = h;
+    this.warmup = warmup;
+    this.sdOf = sdOf;
+    this.prior = prior; // { mean, strength } | null
+    this.values = []; // [{ x, i }] trong regime hiện tại
+    this.regimeStart = 0; // chỉ số (toàn cục) của quan sát đầu regime
+    this.freshFrom = 0; // chỉ số đầu tiên được dùng để ước lượng μ, σ
+    this.mu = null;
+    this.sd = null;
+    this.resetSums();
+  }
+
+  resetSums() {
+    this.sHi = 0;
+    this.sLo = 0;
+    this.zeroHi = null; // chỉ số cuối cùng sHi = 0
+    this.zeroLo = null;
+  }
+
+  estimate() {
+    const vals = this.values
+      .filter((v) => v.i >= this.freshFrom)
+      .slice(0, this.warmup)
+      .map((v) => v.x);
+    const sum = vals.reduce((a, b) => a + b, 0);
+    const { mean = 0, strength = 0 } = this.prior ?? {};
+    this.mu = (sum + mean * strength) / (vals.length + strength);
+    this.sd = Math.max(this.sdOf(this.mu, vals), 1e-3);
+  }
+
+  /** Thêm quan sát x tại chỉ số i; trả điểm đổi (object) nếu vừa báo động, ngược lại null */
+  push(x, i) {
+    if (!this.values.length) this.regimeStart = i;
+    this.values.push({ x, i });
+    if (this.mu == null) {
+      if (i - this.freshFrom + 1 < this.warmup) return null;
+      this.estimate();
+      this.zeroHi = this.zeroLo = i;
+      return null;
+    }
+
+    const z = (x - this.mu) / this.sd;
+    this.sHi = Math.max(0, this.sHi + z - this.k);
+    this.sLo = Math.max(0, this.sLo - z - this.k);
+    if (this.sHi === 0) this.zeroHi = i;
+    if (this.sLo === 0) this.zeroLo = i;
+    if (this.sHi <= this.h && this.sLo <= this.h) return null;
+
+    const up = this.sHi > this.h;
+    const start = (up ? this.zeroHi : this.zeroLo) + 1;
+    const after = this.values.filter((v) => v.i >= start);
+    const cp = {
+      index: start,
+      detectedIndex: i,
+      direction: up ? "up" : "down",
+      before: this.mu,
+      after: after.reduce((a, v) => a + v.x, 0) / after.length
+    };
+
+    // regime mới: giữ các quan sát từ điểm đổi, chờ đủ warmup quan sát mới rồi ước lượng lại
+    this.values = after;
+    this.regimeStart = start;
+    this.freshFrom = i + 1;
+    this.mu = null;
+    this.sd = null;
+    this.resetSums();
+    return cp;
+  }
+
+  current() {
+    const n = this.values.length;
+    return {
+      start: this.regimeStart,
+      n,
+      mean: n ? this.values.reduce((a, v) => a + v.x, 0) / n : null
+    };
+  }
+}
+
+const bernoulliSd = (mu) => Math.sqrt(Math.max(mu * (1 - mu), 0.01));
+const sampleSd = (mu, vals) =>
+  Math.sqrt(vals.reduce((a, x) => a + Math.pow(x - mu, 2), 0) / Math.max(vals.length - 1, 1));
+
+const SERIES = ["t_ratio", "alternation", "totals_mean"];
+
+// prior = xúc xắc cân đối: P(T) = 0.5, P(đảo chiều) = 0.5, E[tổng] = 10.5
+const PRIORS = { t_ratio: 0.5, alternation: 0.5, totals_mean: 10.5 };
+
+/**
+ * ChangePointMonitor — nhận từng phiên (đã sạch, theo thứ tự), chạy CUSUM trên 3 chuỗi.
+ * Chỉ số i của push() là vị trí của phiên trong chuỗi đã quan sát (0, 1, 2, ...),
+ * khớp với chỉ số tuyệt đối của SequenceState khi cùng được cấp một thứ tự phiên.
+ */
+class ChangePointMonitor {
+  constructor({ k = 0.15, h = 25, warmup = 100, priorStrength = 100 } = {}) {
+    this.opts = { k, h, warmup, priorStrength };
+    const make = (series, sdOf) =>
+      new Cusum({ k, h, warmup, sdOf, prior: { mean: PRIORS[series], strength: priorStrength } });
+    this.detectors = {
+      t_ratio: make("t_ratio", bernoulliSd),
+      alternation: make("alternation", bernoulliSd),
+      totals_mean: make("totals_mean", sampleSd)
+    };
+    this.sessions = [];
+    this.prev = null;
+    this.boundaries = [];
+    this.start = 0; // chỉ số đầu regime hiện tại = điểm đổi gần nhất trên bất kỳ chuỗi nào
+  }
+
+  get length() {
+    return this.sessions.length;
+  }
+
+  /** Thêm một phiên { session, R, total }; trả các điểm đổi vừa phát hiện */
+  push(row) {
+    const i = this.sessions.length;
+    this.sessions.push(row.session ?? null);
+    const found = [];
+    const check = (series, x) => {
+      const cp = this.detectors[series].push(x, i);
+      if (cp) found.push({ series, ...cp });
+    };
+
+    check("t_ratio", row.R === "T" ? 1 : 0);
+    if (this.prev != null) check("alternation", row.R !== this.prev ? 1 : 0);
+    if (Number.isFinite(row.total)) check("totals_mean", row.total);
+    this.prev = row.R;
+
+    for (const cp of found) {
+      this.boundaries.push(cp);
+      this.start = Math.max(this.start, cp.index);
+    }
+    return found;
+  }
+
+  current() {
+    return {
+      since_session: this.sessions[this.start] ?? null,
+      length: this.sessions.length - this.start
+    };
+  }
+
+  formatBoundary(b) {
+    return {
+      series: b.series,
+      session: this.sessions[b.index] ?? null,
+      detected_at: this.sessions[b.detectedIndex] ?? null,
+      lag: b.detectedIndex - b.index,
+      direction: b.direction,
+      mean_before: round(b.before),
+      mean_after: round(b.after)
+    };
+  }
+
+  summary() {
+    const series = {};
+    for (const name of SERIES) {
+      const cur = this.detectors[name].current();
+      series[name] = {
+        boundaries: this.boundaries.filter((b) => b.series === name).length,
+        current: {
+          since_session: this.sessions[cur.start] ?? null,
+          n: cur.n,
+          mean: round(cur.mean)
+        }
+      };
+    }
+    return {
+      sessions: this.sessions.length,
+      params: this.opts,
+      current_regime: this.current(),
+      series,
+      boundaries: [...this.boundaries]
+        .sort((a, b) => a.index - b.index || SERIES.indexOf(a.series) - SERIES.indexOf(b.series))
+        .map((b) => this.formatBoundary(b))
+    };
+  }
+}
+
+/** Chạy monitor trên toàn bộ rows (đã lọc sạch) ⇒ summary */
+function detectRegimes(rows, opts) {
+  const monitor = new ChangePointMonitor(opts);
+  for (const r of rows) monitor.push(r);
+  return monitor.summary();
+}
+
+module.exports = { Cusum, ChangePointMonitor, detectRegimes, SERIES };
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const { NdjsonAppender } = require("./ndjson");
+
+/* =======================
+ * ConfigStore — cấu hình runtime của predictor, có phiên bản & nhật ký audit
+ * ======================= */
+
+/**
+ * Các trường chỉnh được qua admin API (trùng tên với AdvancedTaiXiuPredictor.config):
+ *  - dataWindow: số phiên trong cửa sổ học
+ *  - predictionThreshold: ngưỡng max(pT, 1−pT) để coi là vượt ngưỡng / không abstain
+ *  - adaptiveLearningRate: lr truyền cho train() của sub-model
+ *  - ensembleWeights: null = học online (Hedge), hoặc { key: w ≥ 0 } cố định
+ */
+const CONFIG_FIELDS = ["dataWindow", "predictionThreshold", "adaptiveLearningRate", "ensembleWeights"];
+
+/** Lỗi kiểm tra của một config đầy đủ ⇒ [{ field, message }] ([] = hợp lệ) */
+function validatePredictorConfig(cfg, { modelKeys = [] } = {}) {
+  const errors = [];
+  const err = (field, message) => errors.push({ field, message });
+  for (const k of Object.keys(cfg)) {
+    if (!CONFIG_FIELDS.includes(k)) err(k, "Trường không hỗ trợ.");
+  }
+
+  const { dataWindow, predictionThreshold, adaptiveLearningRate, ensembleWeights } = cfg;
+  // predictor cần ≥ 100 phiên trong cửa sổ mới dự đoán
+  if (!Number.isInteger(dataWindow) || dataWindow < 100 || dataWindow > 5000) {
+    err("dataWindow", "Cần số nguyên trong 100..5000.");
+  }
+  if (typeof predictionThreshold !== "number" || !(predictionThreshold >= 0.5 && predictionThreshold < 1)) {
+    err("predictionThreshold", "Cần số trong [0.5, 1).");
+  }
+  if (typeof adaptiveLearningRate !== "number" || !(adaptiveLearningRate >= 0 && adaptiveLearningRate <= 1)) {
+    err("adaptiveLearningRate", "Cần số trong [0, 1].");
+  }
+  if (ensembleWeights !== null) {
+    if (!ensembleWeights || typeof ensembleWeights !== "object" || Array.isArray(ensembleWeights)) {
+      err("ensembleWeights", "Cần null (học online) hoặc object { model: trọng số }.");
+    } else {
+      const entries = Object.entries(ensembleWeights);
+      const unknown = entries.filter(([k]) => !modelKeys.includes(k)).map(([k]) => k);
+      if (unknown.length) err("ensembleWeights", `Model không bật: ${unknown.join(", ")}`);
+      const bad = entries.filter(([, w]) => typeof w !== "number" || !Number.isFinite(w) || w < 0);
+      if (bad.length) err("ensembleWeights", `Trọng số phải là số ≥ 0: ${bad.map(([k]) => k).join(", ")}`);
+      if (!entries.some(([, w]) => w > 0)) err("ensembleWeights", "Cần ít nhất một trọng số > 0.");
+    }
+  }
+  return errors;
+}
+
+/** { field: { from, to } } cho các trường khác nhau giữa hai config */
+function diffConfig(a, b) {
+  const out = {};
+  for (const k of CONFIG_FIELDS) {
+    if (JSON.stringify(a?.[k] ?? null) !== JSON.stringify(b?.[k] ?? null)) {
+      out[k] = { from: a?.[k] ?? null, to: b?.[k] ?? null };
+    }
+  }
+  return out;
+}
+
+const fail = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+/**
+ * Lưu NDJSON append-only:
+ *   file: mỗi dòng một phiên bản { version, config, changedAt, changedBy, reason, changes }
+ *   auditFile: mỗi thao tác admin { at, actor, action, version, changes?, errors?, reason? }
+ * Phiên bản 1 = defaults (từ env) khi file chưa có; rollback tạo phiên bản mới với config cũ.
+ */
+class ConfigStore {
+  constructor({ file, auditFile, defaults, validate = () => [], keepAudit = 1000 }) {
+    this.file = file;
+    this.auditFile = auditFile;
+    this.defaults = { ...defaults };
+    this.validate = validate;
+    this.keepAudit = keepAudit;
+    this.history = [];
+    this.auditLog = [];
+    this.writer = new NdjsonAppender();
+    this.lock = Promise.resolve();
+  }
+
+  // update / rollback chạy lần lượt: kiểm tra baseVersion, đánh số phiên bản, ghi & push đều trong khoá
+  exclusive(fn) {
+    const run = this.lock.then(fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  readNdjson(file) {
+    if (!fs.existsSync(file)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch (_e) {
+        // bỏ dòng hỏng (vd. ghi dở khi tắt máy)
+      }
+    }
+    return out;
+  }
+
+  /** Nạp từ đĩa; file chưa có ⇒ ghi phiên bản 1 (lỗi ghi ⇒ reject, để server dừng khi khởi động) */
+  async load() {
+    this.history = this.readNdjson(this.file).sort((a, b) => a.version - b.version);
+    this.auditLog = this.readNdjson(this.auditFile).slice(-this.keepAudit);
+    if (!this.history.length) {
+      const first = {
+        version: 1,
+        config: { ...this.defaults },
+        changedAt: new Date().toISOString(),
+        changedBy: "system",
+        reason: "defaults",
+        changes: {}
+      };
+      this.history.push(first);
+      await this.append(this.file, [first]);
+    }
+    return this.history.length;
+  }
+
+  append(file, events) {
+    return this.writer.append(file, events);
+  }
+
+  get current() {
+    return this.history[this.history.length - 1];
+  }
+
+  get version() {
+    return this.current.version;
+  }
+
+  get config() {
+    return this.current.config;
+  }
+
+  async audit(entry) {
+    const rec = { at: new Date().toISOString(), ...entry };
+    this.auditLog.push(rec);
+    if (this.auditLog.length > this.keepAudit) this.auditLog.shift();
+    await this.append(this.auditFile, [rec]);
+    return rec;
+  }
+
+  /**
+   * Ghép patch lên config hiện tại ⇒ phiên bản mới.
+   * baseVersion (tùy chọn): chỉ áp dụng nếu phiên bản hiện tại khớp (tránh ghi đè thay đổi song song).
+   * Lỗi: 409 khi lệch phiên bản, 400 kèm errors khi không hợp lệ (cả hai đều được ghi audit).
+   */
+  update(patch, options = {}) {
+    return this.exclusive(() => this.apply(patch, options));
+  }
+
+  // thân của update; chỉ gọi khi đang giữ khoá
+  async apply(patch, { actor, reason = null, baseVersion = null, action = "config.update" } = {}) {
+    if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+      throw fail(400, "Body phải là object config.", { errors: [] });
+    }
+    if (baseVersion != null && Number(baseVersion) !== this.version) {
+      await this.audit({ actor, action: `${action}.conflict`, version: this.version, baseVersion });
+      throw fail(409, `Config đã ở phiên bản ${this.version} (baseVersion=${baseVersion}).`);
+    }
+    const next = { ...this.config, ...patch };
+    const errors = this.validate(next);
+    if (errors.length) {
+      await this.audit({ actor, action: `${action}.rejected`, version: this.version, errors });
+      throw fail(400, "Config không hợp lệ.", { errors });
+    }
+    const changes = diffConfig(this.config, next);
+    if (!Object.keys(changes).length) return { ...this.current, changed: false };
+
+    const rec = {
+      version: this.version + 1,
+      config: next,
+      changedAt: new Date().toISOString(),
+      changedBy: actor,
+      reason,
+      changes
+    };
+    await this.append(this.file, [rec]);
+    this.history.push(rec);
+    await this.audit({ actor, action, version: rec.version, changes, reason });
+    return { ...rec, changed: true };
+  }
+
+  /** Quay về config của một phiên bản cũ (tạo phiên bản mới, không xoá lịch sử) */
+  rollback(version, { actor, reason = null } = {}) {
+    return this.exclusive(() => {
+      const target = this.history.find((h) => h.version === Number(version));
+      if (!target) throw fail(404, `Không có phiên bản ${version}.`);
+      return this.apply(target.config, {
+        actor,
+        reason: reason ?? `rollback về v${target.version}`,
+        action: "config.rollback"
+      });
+    });
+  }
+
+  versions({ limit = 50 } = {}) {
+    return this.history.slice(-limit).reverse();
+  }
+
+  auditEntries({ limit = 100 } = {}) {
+    return this.auditLog.slice(-limit).reverse();
+  }
+}
+
+module.exports = { ConfigStore, CONFIG_FIELDS, validatePredictorConfig, diffConfig };
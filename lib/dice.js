@@ -0,0 +1,23 @@
+/* =======================
+ * Dice helpers — tách mặt xúc xắc & phân phối chuẩn của tổng 3 xúc xắc
+ * ======================= */
+
+/** "3-5-6" | [3,5,6] ⇒ [3,5,6]; null nếu không đọc được đủ 3 số nguyên */
+function parseDice(dice) {
+  if (dice == null) return null;
+  const parts = Array.isArray(dice) ? dice : String(dice).split(/[-,\s]+/).filter(Boolean);
+  const faces = parts.map((x) => Number(x));
+  if (faces.length !== 3 || !faces.every(Number.isInteger)) return null;
+  return faces;
+}
+
+/** P(tổng = t) với 3 xúc xắc cân đối, t = 3..18 (đếm đủ 216 tổ hợp) */
+const THREE_DICE_TOTALS = (() => {
+  const dist = {};
+  for (let a = 1; a <= 6; a++)
+    for (let b = 1; b <= 6; b++)
+      for (let c = 1; c <= 6; c++) dist[a + b + c] = (dist[a + b + c] || 0) + 1 / 216;
+  return dist;
+})();
+
+module.exports = { parseDice, THREE_DICE_TOTALS };
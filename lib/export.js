@@ -0,0 +1,85 @@
+const { once } = require("events");
+const i18n = require("./i18n");
+
+/* =======================
+ * Export — ?format=csv|ndjson: ghi từng dòng ra response thay vì dựng cả body JSON trong bộ nhớ
+ * ======================= */
+
+const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8"
+};
+
+// cột cố định theo thứ tự cho từng loại dữ liệu (key theo shape tiếng Việt của JSON)
+const COLUMNS = {
+  history: ["phien", "xuc_xac", "tong", "ket_qua", "canh_bao"],
+  stream: ["phien", "phien_sau", "du_doan", "do_tin_cay", "rui_ro", "bo_qua", "giai_thich"],
+  backtest: ["phien", "phien_sau", "du_doan", "do_tin_cay", "do_tin_cay_tho", "pT", "thuc_te", "dung_khong", "rui_ro"]
+};
+
+// ô CSV: null ⇒ rỗng, mảng ⇒ "a;b"; chuỗi mở đầu bằng = + - @ được chặn để bảng tính không coi là công thức
+function csvCell(v) {
+  if (v == null) return "";
+  let s = Array.isArray(v) ? v.join(";") : String(v);
+  if (typeof v === "string" && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Ghi các dòng (object shape tiếng Việt) dạng CSV / NDJSON, theo thứ tự cột của `kind`.
+ * Nhãn & key được localize như response JSON (nhãn theo `lang`, key theo `keyLang`);
+ * ô boolean của CSV thành chữ theo `lang` (catalog booleans);
+ * tiêu đề CSV là tên cột nên theo `keyLang`, lấy từ catalog (columns.<key>).
+ * write() chờ "drain" khi buffer đầy ⇒ không giữ toàn bộ output trong bộ nhớ;
+ * trả false khi client đã ngắt (route nên dừng tính tiếp).
+ */
+class RowExporter {
+  constructor(res, { format, kind, lang = i18n.DEFAULT_LANG, keyLang = lang, filename = `taixiu-${kind}` }) {
+    if (!EXPORT_FORMATS[format]) throw new Error(`Format không hỗ trợ: ${format}`);
+    this.res = res;
+    this.format = format;
+    this.columns = COLUMNS[kind];
+    this.lang = lang;
+    this.keyLang = keyLang;
+    this.filename = `${filename}.${format}`;
+    this.count = 0;
+  }
+
+  get closed() {
+    return this.res.destroyed || this.res.writableEnded;
+  }
+
+  start() {
+    this.res.set({
+      "Content-Type": EXPORT_FORMATS[this.format],
+      "Content-Disposition": `attachment; filename="${this.filename}"`
+    });
+    if (this.format === "csv") {
+      // BOM để Excel nhận UTF-8 (dấu tiếng Việt)
+      const header = this.columns.map((c) => csvCell(i18n.t(this.keyLang, `columns.${c}`) ?? c));
+      this.res.write(`\uFEFF${header.join(",")}\r\n`);
+    }
+    return this;
+  }
+
+  async write(row) {
+    if (this.closed) return false;
+    const picked = Object.fromEntries(this.columns.map((c) => [c, row[c] ?? null]));
+    const localized = i18n.localize(picked, this.lang, this.keyLang);
+    // CSV không có kiểu ⇒ boolean thành chữ theo catalog (NDJSON giữ true/false)
+    const cell = (v) => csvCell(typeof v === "boolean" ? i18n.t(this.lang, `booleans.${v}`) : v);
+    const line =
+      this.format === "csv"
+        ? `${Object.values(localized).map(cell).join(",")}\r\n`
+        : `${JSON.stringify(localized)}\n`;
+    this.count++;
+    if (!this.res.write(line)) await Promise.race([once(this.res, "drain"), once(this.res, "close")]);
+    return !this.closed;
+  }
+
+  end() {
+    if (!this.closed) this.res.end();
+  }
+}
+
+module.exports = { RowExporter, EXPORT_FORMATS, COLUMNS };
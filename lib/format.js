@@ -0,0 +1,19 @@
+const { DEFAULT_LANG, label, t } = require("./i18n");
+
+/* =======================
+ * Format — nhãn & số hiển thị trong response (dùng chung cho route và backtest worker)
+ * ======================= */
+
+function riskFromConfidence(c, lang = DEFAULT_LANG) {
+  if (c >= 0.75) return t(lang, "risk.low");
+  if (c >= 0.6) return t(lang, "risk.medium");
+  return t(lang, "risk.high");
+}
+
+function txLabel(x, lang = DEFAULT_LANG) {
+  return label(lang, x === "T" ? "T" : "X");
+}
+
+const percent = (x) => Number((x * 100).toFixed(1));
+
+module.exports = { riskFromConfidence, txLabel, percent };
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { NdjsonAppender } = require("./ndjson");
+
+/* =======================
+ * HistoryStore — lưu lịch sử phiên trên đĩa (NDJSON append-only)
+ * ======================= */
+
+/** HistoryStore — giữ mọi phiên đã thấy, dedupe theo session, tồn tại qua restart */
+class HistoryStore {
+  // validate: tùy chọn, chạy lại trên dòng nạp từ đĩa để cờ theo đúng luật hiện hành
+  constructor({ file, validate = null }) {
+    this.file = file;
+    this.validate = validate;
+    this.bySession = new Map();
+    this.sorted = null;
+    this.writer = new NdjsonAppender();
+  }
+
+  get size() {
+    return this.bySession.size;
+  }
+
+  load() {
+    this.bySession.clear();
+    this.sorted = null;
+    if (!fs.existsSync(this.file)) return 0;
+    const lines = fs.readFileSync(this.file, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const r = JSON.parse(line);
+        // dòng đầu tiên của một session được giữ, giống merge()
+        if (Number.isFinite(r.session) && !this.bySession.has(r.session)) {
+          if (this.validate) r.flags = this.validate(r);
+          this.bySession.set(r.session, r);
+        }
+      } catch (_e) {
+        // bỏ qua dòng hỏng (ví dụ ghi dở khi tắt đột ngột)
+      }
+    }
+    return this.bySession.size;
+  }
+
+  /** Gộp batch đã normalize (xem lib/ingest.js): chỉ ghi phiên mới, phiên đã có được bỏ qua */
+  async merge(rows) {
+    const fresh = [];
+    let duplicates = 0;
+    for (const r of rows) {
+      if (r.session == null) continue;
+      if (this.bySession.has(r.session)) {
+        duplicates++;
+        continue;
+      }
+      this.bySession.set(r.session, r);
+      fresh.push(r);
+    }
+    if (fresh.length) {
+      this.sorted = null;
+      fresh.sort((a, b) => a.session - b.session);
+      try {
+        await this.append(fresh);
+      } catch (e) {
+        // chưa ghi được ⇒ bỏ khỏi bộ nhớ để lần poll / ingest sau nhận lại và ghi lại
+        for (const r of fresh) this.bySession.delete(r.session);
+        throw e;
+      }
+    }
+    return { added: fresh.length, duplicates, total: this.bySession.size };
+  }
+
+  append(rows) {
+    return this.writer.append(this.file, rows);
+  }
+
+  /** Toàn bộ lịch sử, sắp theo session tăng dần */
+  rows() {
+    if (!this.sorted) {
+      this.sorted = [...this.bySession.values()].sort((a, b) => a.session - b.session);
+    }
+    return this.sorted;
+  }
+
+  latestSession() {
+    const rows = this.rows();
+    return rows.length ? rows[rows.length - 1].session : null;
+  }
+}
+
+/** Các dòng (đã sắp theo session) có from ≤ session ≤ to; null = không giới hạn phía đó */
+function sliceSessions(rows, { from = null, to = null } = {}) {
+  // vị trí đầu tiên có session ≥ x (tìm nhị phân)
+  const lowerBound = (x) => {
+    let lo = 0;
+    let hi = rows.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (rows[mid].session < x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const start = from == null ? 0 : lowerBound(from);
+  const end = to == null ? rows.length : lowerBound(to + 1);
+  return start === 0 && end === rows.length ? rows : rows.slice(start, end);
+}
+
+/**
+ * sha256 (hex) của nội dung các phiên theo thứ tự: session, dice, total, R, flags.
+ * Cùng dữ liệu ⇒ cùng hash, không phụ thuộc lang / format của response.
+ */
+function dataHash(rows) {
+  const h = crypto.createHash("sha256");
+  for (const r of rows) {
+    h.update(`${JSON.stringify([r.session, r.dice ?? null, r.total ?? null, r.R ?? null, r.flags ?? []])}\n`);
+  }
+  return h.digest("hex");
+}
+
+/**
+ * HistoryPoller — định kỳ kéo nguồn và merge vào store; gộp các lần poll trùng nhau.
+ * fetch() trả mảng dòng đã normalize, hoặc { rows, report } kèm báo cáo ingest.
+ * Phát sự kiện "merged" ({ added, duplicates, total }) sau mỗi lần merge thành công.
+ */
+class HistoryPoller extends EventEmitter {
+  constructor({ store, fetch, intervalMs = 30000, keepReports = 20 }) {
+    super();
+    this.store = store;
+    this.fetch = fetch;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.inFlight = null;
+    this.lastPollAt = null;
+    this.lastError = null;
+    this.keepReports = keepReports;
+    this.reports = []; // báo cáo ingest gần nhất (mới nhất ở cuối)
+  }
+
+  pollOnce() {
+    if (!this.inFlight) {
+      this.inFlight = (async () => {
+        try {
+          const fetched = await this.fetch();
+          const { rows, report = null } = Array.isArray(fetched) ? { rows: fetched } : fetched;
+          const result = await this.store.merge(rows);
+          if (report) this.pushReport({ at: new Date().toISOString(), ...report, ...result });
+          this.lastError = null;
+          this.emit("merged", result);
+          return result;
+        } catch (e) {
+          this.lastError = e.message || String(e);
+          throw e;
+        } finally {
+          this.lastPollAt = new Date();
+          this.inFlight = null;
+        }
+      })();
+    }
+    return this.inFlight;
+  }
+
+  pushReport(report) {
+    this.reports.push(report);
+    if (this.reports.length > this.keepReports) this.reports.shift();
+  }
+
+  start() {
+    if (this.timer) return;
+    const tick = () =>
+      this.pollOnce().catch((e) => console.warn(`⚠️ Poll nguồn lỗi: ${e.message}`));
+    tick();
+    this.timer = setInterval(tick, this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  status() {
+    return {
+      rows: this.store.size,
+      latestSession: this.store.latestSession(),
+      lastPollAt: this.lastPollAt ? this.lastPollAt.toISOString() : null,
+      lastError: this.lastError,
+      lastIngest: this.reports[this.reports.length - 1] ?? null
+    };
+  }
+}
+
+module.exports = { HistoryStore, HistoryPoller, sliceSessions, dataHash };
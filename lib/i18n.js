@@ -0,0 +1,144 @@
+/* =======================
+ * i18n — ngôn ngữ response: ?lang=vi|en hoặc Accept-Language, mặc định tiếng Việt
+ * Chỉ ?lang tường minh mới đổi tên key; Accept-Language chỉ đổi nhãn & câu chữ
+ * (client không bị đổi shape chỉ vì locale của trình duyệt / HTTP lib).
+ * ======================= */
+
+/**
+ * Catalog (lib/locales/<lang>.json):
+ *  - labels: { T, X } nhãn Tài/Xỉu; risk: { low, medium, high } mức rủi ro
+ *  - booleans: { true, false } chữ cho ô CSV kiểu boolean (dung_khong, bo_qua)
+ *  - fields: đổi tên key response (vi giữ nguyên shape gốc ⇒ {})
+ *  - columns: tiêu đề cột khi xuất CSV (lib/export.js)
+ *  - models: mẫu giai_thich cho từng model (placeholder lấy từ features(result))
+ *  - text: các câu giải thích chung; flags: mô tả mã lỗi dữ liệu
+ * Mẫu: {name} | {name:.2} (toFixed(2)) | {name:label} (T/X ⇒ nhãn); thiếu giá trị ⇒ "?"
+ */
+const CATALOGS = {
+  vi: require("./locales/vi.json"),
+  en: require("./locales/en.json")
+};
+const DEFAULT_LANG = "vi";
+const LANGS = Object.keys(CATALOGS);
+
+// field có giá trị là nhãn trong catalog (dịch theo mã: "Tài" ⇒ T ⇒ "Big")
+const VALUE_FIELDS = { du_doan: "labels", thuc_te: "labels", ket_qua: "labels", rui_ro: "risk" };
+const VALUE_CODES = Object.fromEntries(
+  Object.values(VALUE_FIELDS).map((group) => [
+    group,
+    Object.fromEntries(Object.entries(CATALOGS[DEFAULT_LANG][group]).map(([code, v]) => [v, code]))
+  ])
+);
+
+/** "en-US,en;q=0.9,vi;q=0.8" ⇒ ngôn ngữ hỗ trợ có q cao nhất, null nếu không có */
+function fromAcceptLanguage(header) {
+  let best = null;
+  let bestQ = 0;
+  for (const part of String(header || "").split(",")) {
+    const [tag, ...params] = part.split(";").map((s) => s.trim());
+    const lang = tag.toLowerCase().split("-")[0];
+    const qParam = params.find((p) => p.startsWith("q="));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    if (LANGS.includes(lang) && q > bestQ) {
+      best = lang;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+/** ?lang= tường minh; ngôn ngữ không hỗ trợ ⇒ mặc định, không có ⇒ null */
+function queryLang(req) {
+  const q = String(req.query?.lang ?? "").trim().toLowerCase();
+  if (!q) return null;
+  return LANGS.includes(q) ? q : DEFAULT_LANG;
+}
+
+/** Ngôn ngữ nhãn & câu chữ: ?lang= thắng Accept-Language */
+function resolveLang(req) {
+  return queryLang(req) ?? fromAcceptLanguage(req.get?.("accept-language")) ?? DEFAULT_LANG;
+}
+
+/** Ngôn ngữ tên key: chỉ theo ?lang= (Accept-Language giữ shape tiếng Việt) */
+function resolveKeyLang(req) {
+  return queryLang(req) ?? DEFAULT_LANG;
+}
+
+// tra key dạng "text.crossModel"; thiếu trong ngôn ngữ đích ⇒ lấy tiếng Việt
+function lookup(lang, key) {
+  for (const l of [lang, DEFAULT_LANG]) {
+    const v = key.split(".").reduce((o, k) => o?.[k], CATALOGS[l]);
+    if (v != null) return v;
+  }
+  return null;
+}
+
+function label(lang, code) {
+  return lookup(lang, `labels.${code}`) ?? "?";
+}
+
+function format(lang, template, params = {}) {
+  return template.replace(/\{(\w+)(?::([^}]+))?\}/g, (_m, name, spec) => {
+    const v = params[name];
+    if (v == null) return "?";
+    if (spec === "label") return label(lang, v);
+    if (spec?.startsWith(".") && typeof v === "number") return v.toFixed(Number(spec.slice(1)));
+    return String(v);
+  });
+}
+
+/** Câu trong catalog đã điền tham số; null nếu không có key */
+function t(lang, key, params = {}) {
+  const template = lookup(lang, key);
+  return typeof template === "string" ? format(lang, template, params) : null;
+}
+
+/**
+ * Đổi giá trị nhãn của body (shape tiếng Việt) sang `lang` và tên key sang `keyLang`
+ * (mặc định cùng `lang`; keyLang = vi ⇒ giữ nguyên key).
+ */
+function localize(body, lang, keyLang = lang) {
+  if (!CATALOGS[lang]) lang = DEFAULT_LANG;
+  if (!CATALOGS[keyLang]) keyLang = DEFAULT_LANG;
+  if (lang === DEFAULT_LANG && keyLang === DEFAULT_LANG) return body;
+  const { fields } = CATALOGS[keyLang];
+  const walk = (v) => {
+    if (Array.isArray(v)) return v.map(walk);
+    if (!v || typeof v !== "object" || v.constructor !== Object) return v;
+    const out = {};
+    for (const [k, x] of Object.entries(v)) {
+      const group = VALUE_FIELDS[k];
+      const code = group && typeof x === "string" ? VALUE_CODES[group][x] : null;
+      out[fields[k] ?? k] = code ? CATALOGS[lang][group][code] : walk(x);
+    }
+    return out;
+  };
+  return walk(body);
+}
+
+/**
+ * Middleware: req.lang (nhãn & câu chữ), req.keyLang (tên key) + header Content-Language;
+ * res.json tự localize khi khác tiếng Việt. Route chỉ cần sinh câu tự do (giai_thich…) bằng t(req.lang, …).
+ */
+function localizeResponse(req, res, next) {
+  req.lang = resolveLang(req);
+  req.keyLang = resolveKeyLang(req);
+  res.vary("Accept-Language");
+  res.set("Content-Language", req.lang);
+  if (req.lang !== DEFAULT_LANG || req.keyLang !== DEFAULT_LANG) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(localize(body, req.lang, req.keyLang));
+  }
+  next();
+}
+
+module.exports = {
+  DEFAULT_LANG,
+  LANGS,
+  resolveLang,
+  resolveKeyLang,
+  label,
+  t,
+  localize,
+  localizeResponse
+};
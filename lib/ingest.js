@@ -0,0 +1,135 @@
+/* =======================
+ * Ingest — đọc payload (JSON mảng / NDJSON / CSV) và lập báo cáo cho mỗi lần lấy dữ liệu
+ * ======================= */
+
+const FORMATS = ["json", "ndjson", "csv"];
+
+/** Đoán định dạng theo phần mở rộng khi cấu hình không ghi rõ */
+function detectFormat(url) {
+  const p = String(url).split("?")[0].toLowerCase();
+  if (p.endsWith(".csv")) return "csv";
+  if (p.endsWith(".ndjson") || p.endsWith(".jsonl")) return "ndjson";
+  return "json";
+}
+
+/** Lấy mảng tại `root` (đường dẫn chấm) — cho nguồn bọc dữ liệu kiểu { data: { list: [...] } } */
+function atRoot(data, root) {
+  if (!root) return data;
+  let cur = data;
+  for (const part of root.split(".")) cur = cur?.[part];
+  return cur;
+}
+
+function parseNdjson(text) {
+  const out = [];
+  const lines = String(text).split(/\r?\n/);
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      out.push(JSON.parse(line));
+    } catch (_e) {
+      // giữ chỗ để báo cáo đếm là dòng hỏng thay vì lặng lẽ bỏ
+      out.push({ __parseError: `line ${i + 1}` });
+    }
+  });
+  return out;
+}
+
+// CSV theo RFC 4180: dòng đầu là header, hỗ trợ "..." và "" trong ô
+function parseCsvRecords(text) {
+  const records = [];
+  let rec = [];
+  let cell = "";
+  let quoted = false;
+  const s = String(text);
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      rec.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      rec.push(cell);
+      records.push(rec);
+      rec = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || rec.length) {
+    rec.push(cell);
+    records.push(rec);
+  }
+  return records.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+function parseCsv(text) {
+  const [header, ...body] = parseCsvRecords(String(text).replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return body.map((cells) => Object.fromEntries(keys.map((k, i) => [k, cells[i]?.trim() ?? ""])));
+}
+
+/** Payload (text hoặc object đã parse) ⇒ mảng dòng thô; ném lỗi khi không ra mảng */
+function parsePayload(body, { format = "json", root = null } = {}) {
+  let data;
+  if (format === "csv") data = parseCsv(body);
+  else if (format === "ndjson") data = parseNdjson(body);
+  else data = atRoot(typeof body === "string" ? JSON.parse(body) : body, root);
+  if (!Array.isArray(data)) throw new Error("không trả về mảng.");
+  return data;
+}
+
+/**
+ * Normalize cả batch, kèm báo cáo:
+ *  { received, accepted, rejected: { total, reasons }, flagged: { total, reasons }, unresolved_fields }
+ * unresolved_fields đếm trên các dòng được nhận — trường nào mapping không đọc được;
+ * flagged: dòng được nhận nhưng không nhất quán (xem validateRow), vẫn lưu nhưng không vào model.
+ */
+function ingestBatch(raw, normalize) {
+  const rows = [];
+  const reasons = {};
+  const unresolved = {};
+  const flags = {};
+  let flagged = 0;
+  for (const item of raw) {
+    const res = item && item.__parseError
+      ? { row: null, reason: "parse_error", unresolved: [] }
+      : normalize(item);
+    if (!res.row) {
+      reasons[res.reason] = (reasons[res.reason] ?? 0) + 1;
+      continue;
+    }
+    for (const f of res.unresolved) unresolved[f] = (unresolved[f] ?? 0) + 1;
+    if (res.row.flags?.length) {
+      flagged++;
+      for (const code of res.row.flags) flags[code] = (flags[code] ?? 0) + 1;
+    }
+    rows.push(res.row);
+  }
+  const rejected = raw.length - rows.length;
+  return {
+    rows,
+    report: {
+      received: raw.length,
+      accepted: rows.length,
+      rejected: { total: rejected, reasons },
+      flagged: { total: flagged, reasons: flags },
+      unresolved_fields: unresolved
+    }
+  };
+}
+
+module.exports = { FORMATS, detectFormat, parsePayload, parseCsv, parseNdjson, ingestBatch };
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Worker } = require("worker_threads");
+
+/* =======================
+ * JobManager — hàng đợi việc nặng (vd. backtest lớn) chạy trong worker thread
+ * ======================= */
+
+const TERMINAL = ["done", "failed", "cancelled"];
+
+/**
+ * Mỗi job: { id, kind, status, owner, params, progress, createdAt, startedAt, finishedAt, error, summary }
+ *   status: queued → running → done | failed | cancelled
+ *   owner: id của API key đã tạo job (null: tạo ẩn danh) — route dùng để giới hạn ai xem / huỷ được
+ * Worker (workerFile) nhận workerData, gửi { type: "progress", done, total } rồi
+ * { type: "result", result } hoặc { type: "error", message }.
+ * Mỗi lần đổi trạng thái job được ghi ra dir/<id>.json (kèm result khi xong) để so sánh về sau;
+ * trong bộ nhớ chỉ giữ summary(result). Job đang dở khi server dừng ⇒ "failed" lúc load().
+ * workerData của job đang chờ nằm trong bộ nhớ ⇒ hàng đợi tối đa maxQueued job, đầy thì create() lỗi 503.
+ */
+class JobManager {
+  constructor({ dir, workerFile, concurrency = 1, maxQueued = 10, summarize = () => null }) {
+    this.dir = dir;
+    this.workerFile = workerFile;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxQueued = Math.max(0, maxQueued);
+    this.summarize = summarize;
+    this.jobs = new Map();
+    this.queue = []; // [{ id, workerData }]
+    this.workers = new Map(); // id -> Worker
+    this.writeChain = Promise.resolve();
+  }
+
+  fileOf(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  load() {
+    this.jobs.clear();
+    if (!fs.existsSync(this.dir)) return 0;
+    for (const f of fs.readdirSync(this.dir).filter((x) => x.endsWith(".json"))) {
+      let saved;
+      try {
+        saved = JSON.parse(fs.readFileSync(path.join(this.dir, f), "utf8"));
+      } catch (_e) {
+        continue;
+      }
+      const { result, ...job } = saved;
+      if (!TERMINAL.includes(job.status)) {
+        Object.assign(job, {
+          status: "failed",
+          error: "Server dừng khi job chưa xong.",
+          finishedAt: job.finishedAt ?? new Date().toISOString()
+        });
+        this.persist(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+    return this.jobs.size;
+  }
+
+  /** Ghi nguyên tử (file tạm rồi rename), tuần tự theo writeChain */
+  persist(job, result) {
+    const file = this.fileOf(job.id);
+    const body = JSON.stringify(result === undefined ? job : { ...job, result });
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, body);
+        await fs.promises.rename(`${file}.tmp`, file);
+      })
+      .catch((e) => console.error("⚠️ Ghi job lỗi:", e.message));
+    return this.writeChain;
+  }
+
+  create({ kind, params, workerData, owner = null }) {
+    // còn worker rảnh thì job chạy ngay, không tính vào hàng đợi
+    if (this.workers.size >= this.concurrency && this.queue.length >= this.maxQueued) {
+      throw Object.assign(new Error(`Hàng đợi job đã đầy (${this.maxQueued}), thử lại sau.`), { status: 503 });
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      status: "queued",
+      owner,
+      params,
+      progress: { done: 0, total: null, percent: 0 },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      summary: null
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push({ id: job.id, workerData });
+    this.persist(job);
+    this.pump();
+    return job;
+  }
+
+  pump() {
+    while (this.workers.size < this.concurrency && this.queue.length) {
+      const { id, workerData } = this.queue.shift();
+      this.start(this.jobs.get(id), workerData);
+    }
+  }
+
+  start(job, workerData) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    this.persist(job);
+
+    const worker = new Worker(this.workerFile, { workerData });
+    this.workers.set(job.id, worker);
+    const finish = (status, patch = {}, result) => {
+      if (job.status !== "running") return; // đã huỷ / đã xong
+      Object.assign(job, { status, finishedAt: new Date().toISOString(), ...patch });
+      this.workers.delete(job.id);
+      this.persist(job, result);
+      this.pump();
+    };
+
+    worker.on("message", (msg) => {
+      if (msg.type === "progress") {
+        job.progress = {
+          done: msg.done,
+          total: msg.total,
+          percent: msg.total ? Number(((msg.done / msg.total) * 100).toFixed(1)) : 0
+        };
+      } else if (msg.type === "result") {
+        job.progress = { ...job.progress, done: job.progress.total ?? 0, percent: 100 };
+        finish("done", { summary: this.summarize(msg.result) }, msg.result);
+      } else if (msg.type === "error") {
+        finish("failed", { error: msg.message });
+      }
+    });
+    worker.on("error", (e) => finish("failed", { error: e.message }));
+    worker.on("exit", (code) => finish("failed", { error: `Worker thoát (code ${code}).` }));
+  }
+
+  /** Huỷ job đang chờ / đang chạy; trả job (null nếu không tồn tại) */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || TERMINAL.includes(job.status)) return job ?? null;
+    this.queue = this.queue.filter((q) => q.id !== id);
+    const worker = this.workers.get(id);
+    Object.assign(job, { status: "cancelled", finishedAt: new Date().toISOString() });
+    if (worker) {
+      this.workers.delete(id);
+      await worker.terminate();
+    }
+    this.persist(job);
+    this.pump();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) ?? null;
+  }
+
+  /** Job kèm result (đọc từ file) khi đã xong */
+  async getWithResult(id) {
+    const job = this.get(id);
+    if (!job || job.status !== "done") return job;
+    await this.writeChain;
+    try {
+      const saved = JSON.parse(await fs.promises.readFile(this.fileOf(id), "utf8"));
+      return { ...job, result: saved.result ?? null };
+    } catch (_e) {
+      return { ...job, result: null };
+    }
+  }
+
+  /** Mới nhất trước */
+  list() {
+    return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  status() {
+    const counts = {};
+    for (const j of this.jobs.values()) counts[j.status] = (counts[j.status] ?? 0) + 1;
+    return {
+      concurrency: this.concurrency,
+      running: this.workers.size,
+      queued: this.queue.length,
+      max_queued: this.maxQueued,
+      counts
+    };
+  }
+}
+
+module.exports = { JobManager, TERMINAL };
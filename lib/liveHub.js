@@ -0,0 +1,104 @@
+const { WebSocketServer, WebSocket } = require("ws");
+const { DEFAULT_LANG } = require("./i18n");
+
+/* =======================
+ * LiveHub — đẩy dự đoán mới tới client qua SSE & WebSocket
+ * ======================= */
+
+// locale của request đã qua i18n.localizeResponse; chưa có ⇒ mặc định
+const localeOf = (req) => ({ lang: req.lang ?? DEFAULT_LANG, keyLang: req.keyLang ?? DEFAULT_LANG });
+
+/**
+ * Giữ danh sách subscriber kèm ngôn ngữ lúc kết nối { lang, keyLang } (như req.lang / req.keyLang của i18n);
+ * client mới nhận ngay dự đoán gần nhất (nếu có).
+ */
+class LiveHub {
+  constructor({ heartbeatMs = 25000 } = {}) {
+    this.heartbeatMs = heartbeatMs;
+    this.sseClients = new Map(); // res -> locale
+    this.wss = null;
+    this.last = null; // { payload, render, cache }
+    this.published = 0;
+  }
+
+  /** Payload của lần publish gần nhất theo locale của subscriber (mỗi locale dựng một lần) */
+  render(locale) {
+    const { payload, render, cache } = this.last;
+    const key = `${locale.lang}:${locale.keyLang}`;
+    if (!cache.has(key)) cache.set(key, JSON.stringify(render(locale)));
+    return { id: payload.phien ?? "", data: cache.get(key) };
+  }
+
+  /** Gắn một response Express làm kênh SSE; locale lấy từ req.lang / req.keyLang */
+  attachSse(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders?.();
+    res.write(`retry: 5000\n\n`);
+    const locale = localeOf(req);
+    if (this.last) res.write(this.formatSse(this.render(locale)));
+
+    // comment SSE định kỳ để proxy không cắt kết nối rảnh
+    const beat = setInterval(() => res.write(`: ping\n\n`), this.heartbeatMs);
+    this.sseClients.set(res, locale);
+    req.on("close", () => {
+      clearInterval(beat);
+      this.sseClients.delete(res);
+    });
+  }
+
+  formatSse({ id, data }) {
+    return `event: prediction\nid: ${id}\ndata: ${data}\n\n`;
+  }
+
+  /**
+   * Mở WebSocket trên cùng HTTP server tại `path`.
+   * admit(req) ⇒ { status, body, headers }: status khác null ⇒ từ chối lúc upgrade với mã đó
+   * locale(req) ⇒ { lang, keyLang } của kết nối (mặc định: req.lang / req.keyLang)
+   */
+  attachWebSocket(server, path, { admit = null, locale = localeOf } = {}) {
+    const verifyClient = admit
+      ? ({ req }, done) => {
+          const r = admit(req);
+          if (!r.status) return done(true);
+          done(false, r.status, r.body?.error ?? "", r.headers);
+        }
+      : undefined;
+    this.wss = new WebSocketServer({ server, path, verifyClient });
+    this.wss.on("connection", (ws, req) => {
+      ws.locale = locale(req);
+      if (this.last) ws.send(this.render(ws.locale).data);
+    });
+    return this.wss;
+  }
+
+  /**
+   * Đẩy payload (shape gốc, có `phien`) cho mọi subscriber.
+   * render(locale) ⇒ object gửi cho subscriber có locale đó; mặc định gửi nguyên payload.
+   */
+  publish(payload, { render = () => payload } = {}) {
+    this.last = { payload, render, cache: new Map() };
+    this.published++;
+    for (const [res, locale] of this.sseClients) res.write(this.formatSse(this.render(locale)));
+    if (this.wss) {
+      for (const ws of this.wss.clients) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(this.render(ws.locale).data);
+      }
+    }
+  }
+
+  status() {
+    return {
+      sse: this.sseClients.size,
+      ws: this.wss ? this.wss.clients.size : 0,
+      published: this.published,
+      lastSession: this.last?.payload.phien ?? null
+    };
+  }
+}
+
+module.exports = { LiveHub };
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const path = require("path");
+
+/* =======================
+ * ModelRegistry — danh sách sub-model cho AdvancedTaiXiuPredictor
+ * ======================= */
+
+/**
+ * Một model đăng ký là object:
+ *   { key, label?, order?, weight?, enabled?, create() | train()+analyze(), explain?(result), features?(result) }
+ * - create(): trả instance mới có train(data, lr) & analyze(ctx) ⇒ { pT, coverage?, ...metadata }
+ * - nếu chỉ có train/analyze (không có create) thì chính object đó được dùng làm instance.
+ * ctx của analyze: { state: SequenceState (bộ đếm tăng dần), historical: [T/X], rows: [...], realTime }
+ * - features?(result): đặc trưng chính dạng { tên: giá trị } cho explanation có cấu trúc;
+ *   cũng là tham số của mẫu giai_thich "models.<key>" trong lib/locales/*.json
+ * - explain?(result): câu giai_thich riêng khi catalog không có mẫu cho model
+ * - observe?(row, state): tùy chọn, cập nhật bộ đếm riêng mỗi khi có phiên mới (walk-forward tuyến tính)
+ */
+class ModelRegistry {
+  constructor() {
+    this.defs = new Map();
+    this.enabledKeys = null; // null = mọi model có enabled !== false
+    this.disabledKeys = new Set();
+  }
+
+  register(def) {
+    if (!def || typeof def.key !== "string" || !def.key) {
+      throw new Error("Model cần có key (string).");
+    }
+    const hasFactory = typeof def.create === "function";
+    const isInstance = typeof def.analyze === "function" && typeof def.train === "function";
+    if (!hasFactory && !isInstance) {
+      throw new Error(`Model "${def.key}" cần create() hoặc train()/analyze().`);
+    }
+    this.defs.set(def.key, {
+      label: def.key,
+      order: 1000,
+      weight: 0.1,
+      enabled: true,
+      explain: null,
+      features: null,
+      ...def,
+      create: hasFactory ? def.create : () => def
+    });
+    return this;
+  }
+
+  unregister(key) {
+    return this.defs.delete(key);
+  }
+
+  get(key) {
+    return this.defs.get(key) ?? null;
+  }
+
+  /** Nạp mọi file .js trong dir; mỗi file export 1 model hoặc mảng model */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    const files = fs.readdirSync(dir).filter((f) => f.endsWith(".js")).sort();
+    let count = 0;
+    for (const f of files) {
+      const mod = require(path.resolve(dir, f));
+      for (const def of Array.isArray(mod) ? mod : [mod]) {
+        this.register(def);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /** enabled: danh sách key (rỗng/null = mặc định); disabled: key bị tắt */
+  configure({ enabled = null, disabled = [] } = {}) {
+    const unknown = [...(enabled ?? []), ...disabled].filter((k) => !this.defs.has(k));
+    if (unknown.length) throw new Error(`Model không tồn tại: ${unknown.join(", ")}`);
+    this.enabledKeys = enabled && enabled.length ? new Set(enabled) : null;
+    this.disabledKeys = new Set(disabled);
+    return this;
+  }
+
+  isEnabled(def) {
+    if (this.disabledKeys.has(def.key)) return false;
+    if (this.enabledKeys) return this.enabledKeys.has(def.key);
+    return def.enabled !== false;
+  }
+
+  /** Các model đang bật, theo order rồi key; `only` ghi đè tập bật cho một lần dùng */
+  list({ only = null } = {}) {
+    return [...this.defs.values()]
+      .filter((d) => (only ? only.includes(d.key) : this.isEnabled(d)))
+      .sort((a, b) => a.order - b.order || a.key.localeCompare(b.key));
+  }
+
+  keys(opts) {
+    return this.list(opts).map((d) => d.key);
+  }
+}
+
+/** "a, b ,c" ⇒ ['a','b','c'] */
+function parseKeyList(str) {
+  return String(str ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+module.exports = { ModelRegistry, parseKeyList };
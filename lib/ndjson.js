@@ -0,0 +1,29 @@
+const fs = require("fs");
+const path = require("path");
+
+/* =======================
+ * NdjsonAppender — ghi nối NDJSON tuần tự (dùng chung cho các store append-only)
+ * ======================= */
+
+/**
+ * Mỗi store giữ một appender ⇒ các lần ghi nối đuôi nhau, không xen dòng.
+ * Lần ghi lỗi chỉ reject promise của chính nó; hàng đợi được khôi phục (như JobManager.persist)
+ * nên các lần ghi sau vẫn chạy khi đĩa đã ổn trở lại.
+ */
+class NdjsonAppender {
+  constructor() {
+    this.writeChain = Promise.resolve();
+  }
+
+  append(file, records) {
+    const chunk = records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+    const write = this.writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, chunk, "utf8");
+    });
+    this.writeChain = write.catch(() => {}); // lỗi trả cho caller qua `write`
+    return write;
+  }
+}
+
+module.exports = { NdjsonAppender };
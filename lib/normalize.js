@@ -0,0 +1,191 @@
+const { parseDice } = require("./dice");
+
+/* =======================
+ * Normalize — ánh xạ dòng thô của nguồn sang { session, dice, total, R, rawResult, flags }
+ * ======================= */
+
+/**
+ * Mapping khai báo cho từng trường: danh sách ứng viên, ứng viên đầu tiên có giá trị được dùng.
+ *  - ứng viên là string: đường dẫn field, cho phép lồng bằng dấu chấm ("data.sid")
+ *  - ứng viên là mảng (chỉ cho dice): các field thành phần, ghép bằng "-" khi đủ cả
+ * Một string đơn lẻ tương đương mảng một phần tử.
+ */
+const DEFAULT_MAPPING = {
+  session: ["session", "phien", "sid", "SID", "Phien"],
+  dice: ["dice", "xuc_xac", "Xuc_xac", ["Xuc_xac_1", "Xuc_xac_2", "Xuc_xac_3"]],
+  total: ["total", "tong", "Tong", "sum", "Sum"],
+  result: ["result", "ket_qua", "Ket_qua", "result_text"]
+};
+
+const MAPPED_FIELDS = Object.keys(DEFAULT_MAPPING);
+
+/** Chuỗi kết quả ('Tài', 'x', '12', ...) ⇒ 'T' | 'X' | null */
+function txFromResult(result) {
+  if (result == null) return null;
+  const s = String(result).trim().toLowerCase();
+  if (["t", "tai", "tài"].includes(s)) return "T";
+  if (["x", "xiu", "xỉu"].includes(s)) return "X";
+  const n = parseInt(s, 10);
+  if (!Number.isNaN(n)) return n >= 11 ? "T" : "X";
+  return null;
+}
+
+function txFromResultOrTotal(result, total) {
+  const fromResult = txFromResult(result);
+  if (fromResult) return fromResult;
+  if (typeof total === "number" && Number.isFinite(total)) {
+    return total >= 11 ? "T" : "X";
+  }
+  return null;
+}
+
+/* =======================
+ * Validate — kiểm tra nhất quán dice / total / result, trả mã lý do
+ * ======================= */
+const FLAG_CODES = {
+  missing_outcome: "Không xác định được Tài/Xỉu (thiếu cả kết quả lẫn tổng).",
+  dice_unparseable: "Không đọc được đúng 3 mặt xúc xắc nguyên.",
+  face_out_of_range: "Có mặt xúc xắc ngoài khoảng 1..6.",
+  total_out_of_range: "Tổng ngoài khoảng 3..18.",
+  dice_total_mismatch: "Tổng 3 mặt xúc xắc khác tổng nguồn báo.",
+  result_unrecognized: "Chuỗi kết quả không nhận dạng được.",
+  result_total_mismatch: "Kết quả nguồn báo ngược với tổng (>= 11 là Tài)."
+};
+
+/** Danh sách mã lỗi của một dòng đã normalize ([] = sạch) */
+function validateRow(row) {
+  const flags = [];
+  if (row.R !== "T" && row.R !== "X") flags.push("missing_outcome");
+
+  let diceSum = null;
+  if (row.dice != null) {
+    const faces = parseDice(row.dice);
+    if (!faces) flags.push("dice_unparseable");
+    else if (faces.some((f) => f < 1 || f > 6)) flags.push("face_out_of_range");
+    else diceSum = faces[0] + faces[1] + faces[2];
+  }
+
+  const total = row.total;
+  if (total != null && (!Number.isInteger(total) || total < 3 || total > 18)) {
+    flags.push("total_out_of_range");
+  }
+  if (diceSum != null && total != null && diceSum !== total) flags.push("dice_total_mismatch");
+
+  if (row.rawResult != null) {
+    const fromResult = txFromResult(row.rawResult);
+    // tổng tham chiếu: tổng nguồn, không có thì tổng từ xúc xắc
+    const refTotal = total ?? diceSum;
+    if (!fromResult) flags.push("result_unrecognized");
+    else if (refTotal != null && fromResult !== (refTotal >= 11 ? "T" : "X")) {
+      flags.push("result_total_mismatch");
+    }
+  }
+  return flags;
+}
+
+/** Dòng dùng được làm input cho model: có T/X và không bị gắn cờ */
+function isModelInput(row) {
+  return !!row && (row.R === "T" || row.R === "X") && !(row.flags && row.flags.length);
+}
+
+function getPath(obj, p) {
+  if (p in obj) return obj[p];
+  let cur = obj;
+  for (const part of p.split(".")) {
+    if (cur == null || typeof cur !== "object") return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+// "" (ô CSV trống) coi như không có giá trị
+const present = (v) => v != null && v !== "";
+
+function pick(row, candidates) {
+  for (const c of candidates) {
+    if (Array.isArray(c)) {
+      const parts = c.map((p) => getPath(row, p));
+      if (parts.every(present)) return parts.join("-");
+    } else {
+      const v = getPath(row, c);
+      if (present(v)) return v;
+    }
+  }
+  return null;
+}
+
+/** Kiểm tra & chuẩn hóa mapping (ghép lên mặc định); ném lỗi khi khai báo sai */
+function resolveMapping(mapping = {}) {
+  const unknown = Object.keys(mapping).filter((k) => !MAPPED_FIELDS.includes(k));
+  if (unknown.length) throw new Error(`Mapping có trường không hỗ trợ: ${unknown.join(", ")}`);
+  const out = {};
+  for (const f of MAPPED_FIELDS) {
+    const v = mapping[f] ?? DEFAULT_MAPPING[f];
+    const list = Array.isArray(v) ? v : [v];
+    for (const c of list) {
+      const ok =
+        typeof c === "string" ||
+        (f === "dice" && Array.isArray(c) && c.every((x) => typeof x === "string"));
+      if (!ok) throw new Error(`Mapping "${f}" có ứng viên không hợp lệ: ${JSON.stringify(c)}`);
+    }
+    out[f] = list;
+  }
+  return out;
+}
+
+/**
+ * Tạo hàm normalize theo mapping.
+ * Kết quả: { row, reason, unresolved } — row = null khi bị loại (reason là mã lý do),
+ * unresolved = các trường mapping không tìm thấy giá trị nào.
+ */
+function createNormalizer(mapping) {
+  const m = resolveMapping(mapping);
+  return function normalize(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { row: null, reason: "not_object", unresolved: [] };
+    }
+    const unresolved = [];
+    const get = (f) => {
+      const v = pick(raw, m[f]);
+      if (v == null) unresolved.push(f);
+      return v;
+    };
+
+    const sessionRaw = get("session");
+    let dice = get("dice");
+    const totalRaw = get("total");
+    const resultRaw = get("result");
+
+    if (sessionRaw == null) return { row: null, reason: "missing_session", unresolved };
+    const session = Number(sessionRaw);
+    if (!Number.isFinite(session)) return { row: null, reason: "invalid_session", unresolved };
+
+    if (Array.isArray(dice)) dice = dice.join("-");
+    if (typeof dice === "string") dice = dice.replace(/[,\s]+/g, "-");
+
+    const total = totalRaw != null && Number.isFinite(Number(totalRaw)) ? Number(totalRaw) : null;
+    const R = txFromResultOrTotal(resultRaw, total);
+
+    const row = {
+      session,
+      dice: dice ?? null,
+      total,
+      R, // 'T' | 'X' | null
+      rawResult: resultRaw ?? null
+    };
+    row.flags = validateRow(row); // dòng có cờ vẫn được lưu, nhưng không vào model
+    return { row, reason: null, unresolved };
+  };
+}
+
+module.exports = {
+  DEFAULT_MAPPING,
+  MAPPED_FIELDS,
+  FLAG_CODES,
+  txFromResult,
+  txFromResultOrTotal,
+  validateRow,
+  isModelInput,
+  resolveMapping,
+  createNormalizer
+};
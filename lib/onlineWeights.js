@@ -0,0 +1,96 @@
+const { LOG_LOSS_EPS } = require("./scoring");
+
+/* =======================
+ * OnlineWeights — Hedge (multiplicative weights) trên log loss của từng sub-model
+ * ======================= */
+
+const normalize = (w) => {
+  const sum = Object.values(w).reduce((a, b) => a + b, 0) || 1;
+  return Object.fromEntries(Object.entries(w).map(([k, v]) => [k, v / sum]));
+};
+
+/**
+ * Mỗi khi một phiên có kết quả: wₖ ← wₖ · exp(−η · lossₖ), lossₖ = −ln pₖ(kết quả thật),
+ * chuẩn hóa rồi trộn "fixed share" α với prior (w ← (1−α)·w + α·prior) để model bị phạt
+ * vẫn hồi lại được khi chế độ đổi.
+ * Model chưa từng gặp nhận trọng số prior khi xuất hiện lần đầu.
+ */
+class HedgeWeights {
+  constructor({ prior = {}, eta = 0.1, share = 0.01, keepTrajectory = 1000 } = {}) {
+    this.prior = { ...prior };
+    this.eta = eta;
+    this.share = share;
+    this.keepTrajectory = keepTrajectory;
+    this.w = { ...prior };
+    this.updates = 0;
+    this.cumLoss = {}; // tổng log loss từng model (trên các lần nó tham gia)
+    this.counts = {};
+    this.trajectory = []; // [{ phien_sau, real, weights, losses }] — mới nhất ở cuối
+  }
+
+  priorOf(key) {
+    return this.prior[key] ?? 0.1;
+  }
+
+  /** Trọng số hiện tại chuẩn hóa trên tập `keys` (mặc định mọi model đã biết) */
+  weights(keys = Object.keys(this.w)) {
+    const raw = keys.map((k) => this.w[k] ?? this.priorOf(k));
+    const sum = raw.reduce((a, b) => a + b, 0) || 1;
+    return Object.fromEntries(keys.map((k, i) => [k, raw[i] / sum]));
+  }
+
+  /** models: { key: pT } của dự đoán; real: 'T' | 'X'; meta ghi vào trajectory (vd. phien_sau) */
+  update(models, real, meta = {}) {
+    if (real !== "T" && real !== "X") return null;
+    const keys = Object.keys(models || {}).filter((k) => Number.isFinite(models[k]));
+    if (!keys.length) return null;
+
+    const losses = {};
+    for (const k of keys) {
+      const p = Math.max(LOG_LOSS_EPS, Math.min(1 - LOG_LOSS_EPS, models[k]));
+      losses[k] = -Math.log(real === "T" ? p : 1 - p);
+      this.cumLoss[k] = (this.cumLoss[k] ?? 0) + losses[k];
+      this.counts[k] = (this.counts[k] ?? 0) + 1;
+      if (!(k in this.w)) this.w[k] = this.priorOf(k);
+    }
+
+    // chỉ cập nhật các model có mặt; tổng khối lượng của nhóm đó được giữ nguyên
+    const mass = keys.reduce((a, k) => a + this.w[k], 0);
+    const priorMass = keys.reduce((a, k) => a + this.priorOf(k), 0) || 1;
+    const scaled = keys.map((k) => this.w[k] * Math.exp(-this.eta * losses[k]));
+    const sum = scaled.reduce((a, b) => a + b, 0) || 1;
+    keys.forEach((k, i) => {
+      const hedged = (scaled[i] / sum) * mass;
+      const prior = (this.priorOf(k) / priorMass) * mass;
+      this.w[k] = (1 - this.share) * hedged + this.share * prior;
+    });
+
+    this.updates++;
+    this.trajectory.push({ ...meta, real, weights: this.weights(keys), losses });
+    if (this.trajectory.length > this.keepTrajectory) this.trajectory.shift();
+    return losses;
+  }
+
+  /** Học lại từ đầu theo các bản ghi ledger đã resolve ({ phien_sau, models, real }) */
+  replay(records) {
+    const sorted = [...records].sort((a, b) => a.phien_sau - b.phien_sau);
+    for (const rec of sorted) this.update(rec.models, rec.real, { phien_sau: rec.phien_sau });
+    return this;
+  }
+
+  status() {
+    return {
+      method: "hedge",
+      eta: this.eta,
+      share: this.share,
+      updates: this.updates,
+      weights: this.weights(),
+      prior: normalize(this.prior),
+      mean_log_loss: Object.fromEntries(
+        Object.keys(this.cumLoss).map((k) => [k, this.cumLoss[k] / this.counts[k]])
+      )
+    };
+  }
+}
+
+module.exports = { HedgeWeights };
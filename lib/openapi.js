@@ -0,0 +1,825 @@
+const { COLUMNS } = require("./export");
+const i18n = require("./i18n");
+
+/* =======================
+ * OpenAPI 3 — tài liệu cho mọi route /api/taixiu/*, dùng luôn để kiểm tra query (lib/queryValidator.js)
+ * ======================= */
+
+// helper schema (OpenAPI 3.0: null biểu diễn bằng nullable)
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// cạnh $ref mọi key khác bị bỏ qua ⇒ bọc trong allOf để nullable có hiệu lực
+const nullable = (schema) => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const int = (extra = {}) => ({ type: "integer", ...extra });
+const num = (extra = {}) => ({ type: "number", ...extra });
+const str = (extra = {}) => ({ type: "string", ...extra });
+const bool = { type: "boolean" };
+const dateTime = str({ format: "date-time" });
+const arr = (items) => ({ type: "array", items });
+const obj = (properties, extra = {}) => ({ type: "object", properties, ...extra });
+// map { key: schema } (vd. trọng số theo model)
+const mapOf = (schema) => ({ type: "object", additionalProperties: schema });
+
+const query = (name, schema, description) => ({ name, in: "query", required: false, description, schema });
+const pathParam = (name, description) => ({ name, in: "path", required: true, description, schema: str() });
+
+const json = (schema, description) => ({ description, content: { "application/json": { schema } } });
+// 200 của route xuất được (?format=): JSON đầy đủ, hoặc từng dòng data dạng CSV / NDJSON
+const exportable = (schema, kind, rowSchema, description) => ({
+  description,
+  content: {
+    "application/json": { schema },
+    "text/csv": { schema: str({ description: `Cột: ${COLUMNS[kind].join(", ")} (tiêu đề theo lang)` }) },
+    "application/x-ndjson": { schema: rowSchema }
+  }
+});
+const errors = (...codes) =>
+  Object.fromEntries(codes.map((c) => [String(c), { $ref: `#/components/responses/E${c}` }]));
+
+/**
+ * opts: giá trị phụ thuộc cấu hình server
+ *  - version, models (key model đang nạp), langs
+ *  - lang: ngôn ngữ nhãn trong enum TxLabel / Risk (như giá trị response); tên trường do localizeResponse đổi
+ *  - maxSyncLimit (BACKTEST_SYNC_MAX_LIMIT), maxJobLimit (JOBS_MAX_LIMIT), maxTrajectory (Hedge), maxReports (báo cáo ingest)
+ */
+function buildOpenApi({
+  version,
+  models = [],
+  langs = ["vi"],
+  lang = i18n.DEFAULT_LANG,
+  maxSyncLimit = 2000,
+  maxJobLimit = 100000,
+  maxTrajectory = 1000,
+  maxReports = 20
+}) {
+  const abstainParams = [
+    query("abstain", bool, "Bỏ qua (không đưa du_doan) khi max(pT, 1−pT) < threshold; mặc định theo ABSTAIN"),
+    query("threshold", num({ minimum: 0.5, maximum: 0.99 }), "Ngưỡng abstain; mặc định predictionThreshold của config")
+  ];
+  const backtestParams = (maxLimit) => [
+    query("limit", int({ minimum: 120, maximum: maxLimit, default: 200 }), "Số phiên gần nhất đưa vào backtest"),
+    query("warmup", int({ minimum: 100, maximum: 5000, default: 100 }), "Số phiên khởi động trước điểm cắt đầu"),
+    query("dataWindow", int({ minimum: 100, maximum: 5000 }), "Cửa sổ học; mặc định theo config"),
+    query("threshold", num({ minimum: 0.5, maximum: 0.99 }), "Ngưỡng passedThreshold; mặc định theo config"),
+    query("regime_only", bool, "Chỉ học trên regime hiện tại"),
+    query(
+      "models",
+      str({ pattern: "^[\\w-]+(\\s*,\\s*[\\w-]+)*$" }),
+      `Tập model, vd. "${models.slice(0, 2).join(",")}"`
+    ),
+    query(
+      "weights",
+      str({ pattern: "^[\\w-]+:[^,]+(\\s*,\\s*[\\w-]+:[^,]+)*$" }),
+      'Trọng số cố định "model:w,..."; mặc định học online'
+    ),
+    query("ablation", bool, "Leave-one-model-out"),
+    query("bins", int({ minimum: 2, maximum: 20, default: 10 }), "Số bin của bảng reliability"),
+    query("ci", num({ minimum: 0.5, maximum: 0.999, default: 0.95 }), "Mức tin cậy của khoảng accuracy"),
+    query("permutations", int({ minimum: 0, maximum: 1000, default: 0 }), "Số lần xáo trộn cho permutation test"),
+    query("seed", int({ default: 12345 }), "Seed của permutation test")
+  ];
+  const formatParam = query(
+    "format",
+    str({ enum: ["json", "csv", "ndjson"], default: "json" }),
+    "csv / ndjson: chỉ các dòng data, cột cố định, ghi dần từng dòng"
+  );
+  const adminSecurity = [{ adminBearer: [] }, { adminKey: [] }];
+
+  const schemas = {
+    Error: obj({ error: str() }, { required: ["error"] }),
+    ValidationError: obj(
+      { error: str(), errors: arr(obj({ field: str(), message: str() })) },
+      { required: ["error", "errors"] }
+    ),
+    RateLimited: obj({
+      error: str(),
+      reason: str({ enum: ["rate", "quota"] }),
+      cost: int(),
+      retryAfter: int({ description: "giây" })
+    }),
+    TxLabel: str({ enum: ["T", "X"].map((code) => i18n.label(lang, code)) }),
+    Risk: str({ enum: ["low", "medium", "high"].map((level) => i18n.t(lang, `risk.${level}`)) }),
+    AbstainPolicy: obj({ abstain: bool, threshold: num() }),
+    HistoryEntry: obj({
+      phien: int(),
+      xuc_xac: nullable(str({ example: "3-5-6" })),
+      tong: nullable(int()),
+      ket_qua: nullable(ref("TxLabel")),
+      canh_bao: arr(str({ description: "mã lỗi nhất quán (xem /quality)" }))
+    }),
+    History: obj({
+      count: int({ description: "số phiên trong trang này" }),
+      total: int({ description: "số phiên khớp from/to" }),
+      from: nullable(int()),
+      to: nullable(int()),
+      offset: int(),
+      limit: nullable(int()),
+      dataHash: str({ description: "sha256 các phiên trong trang (cũng ở header X-Data-Hash khi xuất)" }),
+      next: nullable(str({ description: "URL trang kế: to đã ghim, offset mới, các tham số khác giữ nguyên" })),
+      stale: bool,
+      data: arr(ref("HistoryEntry"))
+    }),
+    ModelContribution: obj({
+      key: str(),
+      label: str(),
+      pT: num(),
+      weight: num({ description: "trọng số đã chuẩn hóa" }),
+      contribution: num({ description: "weight × (pT − 0.5); Σ = ensemble pT − 0.5" }),
+      toward: nullable(str({ enum: ["T", "X"] })),
+      features: mapOf({})
+    }),
+    Explanation: obj({
+      pT: num(),
+      choice: nullable(str({ enum: ["T", "X"] })),
+      models: arr(ref("ModelContribution")),
+      agreement: obj({
+        toward_T: int(),
+        toward_X: int(),
+        with_choice: int(),
+        weight_with_choice: num(),
+        mean_pT: nullable(num()),
+        var_pT: nullable(num())
+      })
+    }),
+    Next: obj({
+      phien: nullable(int({ description: "phiên được dự đoán" })),
+      du_doan: nullable(ref("TxLabel")),
+      do_tin_cay: nullable(num({ description: "% đã hiệu chuẩn" })),
+      giai_thich: nullable(str()),
+      explanation: nullable(ref("Explanation")),
+      rui_ro: nullable(ref("Risk")),
+      do_tin_cay_tho: nullable(num({ description: "% trước hiệu chuẩn" })),
+      hieu_chuan: str({ enum: ["unfitted", "thin", "fitted"] }),
+      bo_qua: bool,
+      configVersion: int()
+    }),
+    PredictRow: obj({
+      phien: int(),
+      xuc_xac: nullable(str()),
+      tong: nullable(int()),
+      ket_qua: nullable(ref("TxLabel")),
+      phien_sau: int(),
+      du_doan: nullable(ref("TxLabel")),
+      do_tin_cay: nullable(num()),
+      giai_thich: nullable(str()),
+      rui_ro: nullable(ref("Risk"))
+    }),
+    Predict: obj({
+      updatedAt: dateTime,
+      stale: bool,
+      configVersion: int(),
+      abstain: ref("AbstainPolicy"),
+      asOf: nullable(
+        obj({
+          asOf: int(),
+          to_session: int({ description: "phiên cuối thực sự có trong dữ liệu ≤ asOf" }),
+          dataHash: str({ description: "sha256 dữ liệu dùng để dựng lại (so với /history?to=)" }),
+          recorded: nullable(ref("LedgerEntry")),
+          thuc_te: nullable(ref("TxLabel"))
+        })
+      ),
+      count: int(),
+      data: arr(ref("PredictRow")),
+      next: ref("Next")
+    }),
+    StreamRec: obj({
+      phien: int(),
+      phien_sau: int(),
+      du_doan: nullable(ref("TxLabel")),
+      do_tin_cay: nullable(num()),
+      giai_thich: nullable(str()),
+      explanation: ref("Explanation"),
+      rui_ro: nullable(ref("Risk")),
+      bo_qua: bool
+    }),
+    CalibrationStatus: obj(
+      {
+        method: str({ enum: ["isotonic", "platt"] }),
+        status: str({ enum: ["unfitted", "thin", "fitted"] }),
+        samples: int(),
+        min_samples: int(),
+        hit_rate: nullable(num()),
+        fittedAt: nullable(dateTime),
+        fit_from_session: nullable(int()),
+        fit_to_session: nullable(int())
+      },
+      { additionalProperties: true }
+    ),
+    Stream: obj({
+      window: int(),
+      configVersion: int(),
+      abstain: ref("AbstainPolicy"),
+      calibration: ref("CalibrationStatus"),
+      data: arr(ref("StreamRec"))
+    }),
+    Calibration: {
+      allOf: [
+        ref("CalibrationStatus"),
+        obj({
+          updatedAt: dateTime,
+          curve: arr(obj({ raw: num(), calibrated: num() })),
+          steps: nullable(arr(obj({ from: num(), to: num(), count: int(), hit_rate: num() })))
+        })
+      ]
+    },
+    LedgerEntry: obj({
+      phien: int(),
+      phien_sau: int(),
+      du_doan: ref("TxLabel"),
+      do_tin_cay: num(),
+      pT: num(),
+      trang_thai: str({ enum: ["pending", "resolved"] }),
+      thuc_te: nullable(ref("TxLabel")),
+      dung_khong: nullable(bool),
+      configVersion: nullable(int()),
+      createdAt: dateTime,
+      resolvedAt: nullable(dateTime)
+    }),
+    Ledger: obj({
+      count: int(),
+      metrics: obj({
+        evaluated: int(),
+        accuracy: nullable(num()),
+        precision: nullable(num()),
+        recall: nullable(num())
+      }),
+      data: arr(ref("LedgerEntry"))
+    }),
+    Weights: obj({
+      updatedAt: dateTime,
+      method: str({ enum: ["hedge"] }),
+      eta: num(),
+      share: num(),
+      updates: int(),
+      weights: mapOf(num()),
+      prior: mapOf(num()),
+      mean_log_loss: mapOf(num()),
+      active: mapOf(num()),
+      trajectory: arr(
+        obj({ phien_sau: int(), real: str({ enum: ["T", "X"] }), weights: mapOf(num()), losses: mapOf(num()) })
+      )
+    }),
+    Quality: obj({
+      updatedAt: dateTime,
+      sessions: int(),
+      usable: int(),
+      flagged: int(),
+      data_quality: nullable(num()),
+      reasons: mapOf(obj({ count: int(), mo_ta: str() })),
+      missing_sessions: int(),
+      recent_flagged: arr(ref("HistoryEntry"))
+    }),
+    Regimes: obj({
+      updatedAt: dateTime,
+      from: nullable(int()),
+      to: nullable(int()),
+      sessions: int(),
+      params: obj({ k: num(), h: num(), warmup: int(), priorStrength: num() }),
+      current_regime: obj({ since_session: nullable(int()), length: int() }),
+      series: mapOf(
+        obj({ boundaries: int(), current: obj({ since_session: nullable(int()), n: int(), mean: nullable(num()) }) })
+      ),
+      boundaries: arr(
+        obj({
+          series: str({ enum: ["t_ratio", "alternation", "totals_mean"] }),
+          session: int(),
+          detected_at: int(),
+          lag: int(),
+          direction: str({ enum: ["up", "down"] }),
+          mean_before: num(),
+          mean_after: num()
+        })
+      )
+    }),
+    Randomness: obj({
+      updatedAt: dateTime,
+      from: nullable(int()),
+      to: nullable(int()),
+      sessions: int(),
+      alpha: num(),
+      flagged: arr(str({ description: "tên các test có p_value < alpha" })),
+      tests: mapOf(
+        obj({ test: str(), statistic: nullable(num()), p_value: nullable(num()) }, { additionalProperties: true })
+      )
+    }),
+    IngestReport: obj(
+      {
+        at: dateTime,
+        source: str(),
+        format: nullable(str()),
+        stale: bool,
+        received: int(),
+        accepted: int(),
+        rejected: obj({ total: int(), reasons: mapOf(int()) }),
+        flagged: obj({ total: int(), reasons: mapOf(int()) }),
+        unresolved_fields: mapOf(int()),
+        added: int(),
+        duplicates: int(),
+        total: int()
+      },
+      { additionalProperties: true }
+    ),
+    Ingest: obj({
+      sources: arr(
+        obj(
+          { name: str(), url: str(), format: nullable(str()), circuit: str(), failures: int() },
+          { additionalProperties: true }
+        )
+      ),
+      count: int(),
+      data: arr(ref("IngestReport"))
+    }),
+    Score: obj({
+      evaluated: int(),
+      accuracy_percent: nullable(num()),
+      brier: nullable(num()),
+      log_loss: nullable(num())
+    }),
+    BacktestRec: obj({
+      phien: int(),
+      phien_sau: int(),
+      du_doan: ref("TxLabel"),
+      do_tin_cay: num(),
+      do_tin_cay_tho: num(),
+      pT: num(),
+      thuc_te: ref("TxLabel"),
+      dung_khong: bool,
+      rui_ro: ref("Risk")
+    }),
+    Backtest: obj({
+      evaluated: int(),
+      params: obj({
+        warmup: int(),
+        dataWindow: int(),
+        threshold: num(),
+        models: arr(str()),
+        weights: { oneOf: [str({ enum: ["online"] }), mapOf(num())] },
+        configVersion: nullable(int())
+      }),
+      regime_only: bool,
+      accuracy_percent: nullable(num()),
+      weights_final: nullable(mapOf(num())),
+      brier: nullable(num()),
+      log_loss: nullable(num()),
+      above_threshold: obj({ predicted: int(), coverage_percent: nullable(num()), accuracy_percent: nullable(num()) }),
+      models: mapOf({ allOf: [ref("Score"), obj({ weight_final: nullable(num()) })] }),
+      ablation: nullable(
+        mapOf(obj({ without: ref("Score"), delta_accuracy_percent: nullable(num()), delta_log_loss: nullable(num()) }))
+      ),
+      significance: obj({
+        ci_level: num(),
+        accuracy_ci_percent: nullable(arr(num())),
+        p_value_vs_50: nullable(num()),
+        permutation: nullable(
+          obj({
+            permutations: int(),
+            seed: int(),
+            null_mean_percent: num(),
+            null_sd_percent: num(),
+            null_p05_percent: num(),
+            null_p95_percent: num(),
+            p_value: num()
+          })
+        )
+      }),
+      reliability: arr(obj({ from: num(), to: num(), count: int(), mean_pT: nullable(num()), observed_T: nullable(num()) })),
+      coverage_curve: arr(
+        obj({ threshold: num(), predicted: int(), coverage_percent: nullable(num()), accuracy_percent: nullable(num()) })
+      ),
+      calibration: obj({
+        live: nullable(ref("CalibrationStatus")),
+        holdout: obj({
+          method: str(),
+          status: str(),
+          fit_samples: int(),
+          evaluated: int(),
+          hit_rate: nullable(num()),
+          ece_raw: nullable(num()),
+          ece_calibrated: nullable(num())
+        })
+      }),
+      baselines: mapOf(ref("Score")),
+      data: arr(ref("BacktestRec"))
+    }),
+    BacktestJobBody: obj(
+      {
+        limit: int({ minimum: 120, maximum: maxJobLimit }),
+        warmup: int({ minimum: 100, maximum: 5000 }),
+        dataWindow: int({ minimum: 100, maximum: 5000 }),
+        threshold: num({ minimum: 0.5, maximum: 0.99 }),
+        regime_only: { oneOf: [bool, str()] },
+        models: str(),
+        weights: { oneOf: [str(), mapOf(num({ minimum: 0 }))] },
+        ablation: { oneOf: [bool, str()] },
+        bins: int({ minimum: 2, maximum: 20 }),
+        ci: num({ minimum: 0.5, maximum: 0.999 }),
+        permutations: int({ minimum: 0, maximum: 1000 }),
+        seed: int()
+      },
+      { description: "Cùng tham số với query của /backtest (body ghi đè query)" }
+    ),
+    Job: obj({
+      id: str({ format: "uuid" }),
+      kind: str({ enum: ["backtest"] }),
+      status: str({ enum: ["queued", "running", "done", "failed", "cancelled"] }),
+      owner: nullable(str({ description: "id API key đã tạo job (null: ẩn danh)" })),
+      params: obj({}, { additionalProperties: true }),
+      progress: obj({ done: int(), total: int(), percent: num() }),
+      createdAt: dateTime,
+      startedAt: nullable(dateTime),
+      finishedAt: nullable(dateTime),
+      error: nullable(str()),
+      summary: nullable(ref("Score"))
+    }),
+    JobWithResult: { allOf: [ref("Job"), obj({ result: nullable(ref("Backtest")) })] },
+    JobList: obj({
+      concurrency: int(),
+      running: int(),
+      queued: int(),
+      max_queued: int(),
+      counts: mapOf(int()),
+      jobs: arr(ref("Job"))
+    }),
+    PredictorConfig: obj({
+      dataWindow: int({ minimum: 100, maximum: 5000 }),
+      predictionThreshold: num({ minimum: 0.5, exclusiveMaximum: true, maximum: 1 }),
+      adaptiveLearningRate: num({ minimum: 0, maximum: 1 }),
+      ensembleWeights: nullable(mapOf(num({ minimum: 0 })))
+    }),
+    ConfigVersion: obj({
+      version: int(),
+      config: ref("PredictorConfig"),
+      changedAt: dateTime,
+      changedBy: str(),
+      reason: nullable(str()),
+      changes: mapOf(obj({ from: {}, to: {} })),
+      changed: bool,
+      fields: arr(str())
+    }),
+    AuditEntry: obj(
+      {
+        at: dateTime,
+        actor: str(),
+        action: str({ example: "config.update" }),
+        version: int(),
+        changes: mapOf(obj({ from: {}, to: {} })),
+        errors: arr(obj({ field: str(), message: str() })),
+        reason: nullable(str())
+      },
+      { additionalProperties: true }
+    ),
+    ApiKey: obj({
+      id: str({ format: "uuid" }),
+      name: str(),
+      prefix: str(),
+      ratePerMinute: nullable(int()),
+      dailyQuota: nullable(int()),
+      createdAt: dateTime,
+      createdBy: nullable(str()),
+      revokedAt: nullable(dateTime),
+      revokedBy: nullable(str()),
+      status: str({ enum: ["active", "revoked"] })
+    })
+  };
+
+  const paths = {
+    "/api/taixiu/openapi.json": {
+      get: { summary: "Tài liệu OpenAPI này", responses: { 200: json({ type: "object" }, "OpenAPI 3") } }
+    },
+    "/api/taixiu/docs": {
+      get: {
+        summary: "Trang tài liệu (Swagger UI)",
+        responses: { 200: { description: "HTML", content: { "text/html": { schema: str() } } } }
+      }
+    },
+    "/api/taixiu/history": {
+      get: {
+        summary: "Lịch sử chuẩn hóa",
+        parameters: [
+          query("from", int({ minimum: 0 }), "Từ phiên (gồm)"),
+          query("to", int({ minimum: 0 }), "Tới phiên (gồm)"),
+          query("offset", int({ minimum: 0, default: 0 }), "Bỏ qua n phiên đầu (sau khi lọc)"),
+          query("limit", int({ minimum: 1, maximum: 10000 }), "Kích thước trang; bỏ trống = tới hết"),
+          formatParam
+        ],
+        responses: {
+          200: exportable(ref("History"), "history", ref("HistoryEntry"), "Lịch sử"),
+          ...errors(400, 500)
+        }
+      }
+    },
+    "/api/taixiu/quality": {
+      get: {
+        summary: "Chất lượng dữ liệu (cờ nhất quán dice/total/result)",
+        parameters: [query("recent", int({ minimum: 0, maximum: 200, default: 20 }), "Số dòng bị gắn cờ gần nhất")],
+        responses: { 200: json(ref("Quality"), "Tổng hợp"), ...errors(400, 500) }
+      }
+    },
+    "/api/taixiu/weights": {
+      get: {
+        summary: "Trọng số ensemble học online (Hedge)",
+        parameters: [query("limit", int({ minimum: 1, maximum: maxTrajectory, default: 100 }), "Số điểm quỹ đạo")],
+        responses: { 200: json(ref("Weights"), "Trọng số"), ...errors(400, 500) }
+      }
+    },
+    "/api/taixiu/calibration": {
+      get: {
+        summary: "Hiệu chuẩn độ tin cậy hiện hành",
+        parameters: [query("refit", bool, "Fit lại trước khi trả")],
+        responses: { 200: json(ref("Calibration"), "Bản fit"), ...errors(400, 500) }
+      }
+    },
+    "/api/taixiu/regimes": {
+      get: {
+        summary: "Điểm đổi chế độ (CUSUM)",
+        parameters: [
+          query("limit", int({ minimum: 0, default: 0 }), "Số phiên gần nhất; 0 = toàn bộ store"),
+          query("k", num({ minimum: 0.01, maximum: 2, default: 0.15 }), "Độ lệch cho phép (theo sd)"),
+          query("h", num({ minimum: 1, maximum: 100, default: 25 }), "Ngưỡng báo động"),
+          query("warmup", int({ minimum: 10, maximum: 1000, default: 100 }), "Số phiên ước lượng mức nền")
+        ],
+        responses: { 200: json(ref("Regimes"), "Regime"), ...errors(400, 500) }
+      }
+    },
+    "/api/taixiu/predict": {
+      get: {
+        summary: "Dự đoán phiên kế tiếp (gắn vào dòng cuối)",
+        parameters: [
+          query("asOf", int({ minimum: 0 }), "Dựng lại dự đoán chỉ từ dữ liệu tới phiên này (chi phí 10 thay vì 2)"),
+          ...abstainParams
+        ],
+        responses: { 200: json(ref("Predict"), "Lịch sử + dự đoán"), ...errors(400, 404, 500) }
+      }
+    },
+    "/api/taixiu/predict/stream": {
+      get: {
+        summary: "Dự đoán cuốn chiếu: mỗi phiên một độ tin cậy",
+        parameters: [
+          query("limit", int({ minimum: 60, maximum: 5000, default: 160 }), "Số phiên gần nhất"),
+          ...abstainParams,
+          formatParam
+        ],
+        responses: {
+          200: exportable(ref("Stream"), "stream", ref("StreamRec"), "Dự đoán theo từng phiên"),
+          ...errors(400, 500)
+        }
+      }
+    },
+    "/api/taixiu/ledger": {
+      get: {
+        summary: "Các dự đoán đã phát ra & kết quả thật",
+        parameters: [
+          query("status", str({ enum: ["pending", "resolved"] }), "Lọc theo trạng thái"),
+          query("limit", int({ minimum: 1, maximum: 1000, default: 100 }), "Số bản ghi gần nhất")
+        ],
+        responses: { 200: json(ref("Ledger"), "Ledger"), ...errors(400, 500) }
+      }
+    },
+    "/api/taixiu/backtest": {
+      get: {
+        summary: "Backtest walk-forward đồng bộ (nhỏ; lớn hơn ⇒ 413, dùng /backtest/jobs)",
+        description:
+          "?format=csv|ndjson chỉ chạy lượt walk-forward chính và ghi từng dòng ngay khi tính xong; " +
+          "bỏ qua phần tổng hợp (permutations, ablation, bins, ci không có tác dụng). X-Evaluated: số dòng.",
+        parameters: [...backtestParams(maxSyncLimit), formatParam],
+        responses: {
+          200: exportable(ref("Backtest"), "backtest", ref("BacktestRec"), "Kết quả backtest"),
+          ...errors(400, 413, 500)
+        }
+      }
+    },
+    "/api/taixiu/backtest/jobs": {
+      post: {
+        summary: "Tạo job backtest chạy nền (worker thread; cần API key trừ khi JOBS_ANONYMOUS=1)",
+        description:
+          "Chi phí rate limit như /backtest, tính trên query + body: 10 × ⌈limit/100⌉ × " +
+          "(1 + permutations + số model khi ablation); vượt giới hạn/phút của key ⇒ 413.",
+        parameters: backtestParams(maxJobLimit),
+        requestBody: { required: false, content: { "application/json": { schema: ref("BacktestJobBody") } } },
+        responses: { 202: json(ref("Job"), "Job đã xếp hàng (header Location)"), ...errors(400, 401, 500, 503) }
+      },
+      get: {
+        summary: "Danh sách job của API key gọi (admin: mọi job), mới nhất trước",
+        responses: { 200: json(ref("JobList"), "Job") }
+      }
+    },
+    "/api/taixiu/backtest/jobs/{id}": {
+      parameters: [pathParam("id", "id của job")],
+      get: {
+        summary: "Tiến độ / kết quả một job (chỉ key đã tạo job hoặc admin; khác ⇒ 404)",
+        responses: { 200: json(ref("JobWithResult"), "Job"), ...errors(404, 500) }
+      },
+      delete: {
+        summary: "Huỷ job đang chờ / đang chạy (chỉ key đã tạo job hoặc admin; khác ⇒ 404)",
+        responses: {
+          200: json(ref("Job"), "Job đã huỷ"),
+          409: json({ allOf: [ref("Error"), obj({ job: ref("Job") })] }, "Job đã kết thúc"),
+          ...errors(404, 500)
+        }
+      }
+    },
+    "/api/taixiu/randomness": {
+      get: {
+        summary: "Kiểm định ngẫu nhiên trên lịch sử",
+        parameters: [
+          query("limit", int({ minimum: 0, default: 0 }), "Số phiên gần nhất; 0 = toàn bộ store"),
+          query("lags", int({ minimum: 1, maximum: 20, default: 5 }), "Số lag tự tương quan"),
+          query("alpha", num({ minimum: 0.001, maximum: 0.2, default: 0.05 }), "Mức ý nghĩa")
+        ],
+        responses: { 200: json(ref("Randomness"), "Kết quả kiểm định"), ...errors(400, 500) }
+      }
+    },
+    "/api/taixiu/ingest": {
+      get: {
+        summary: "Báo cáo các lần lấy nguồn gần nhất",
+        parameters: [query("limit", int({ minimum: 1, maximum: maxReports, default: 5 }), "Số báo cáo")],
+        responses: { 200: json(ref("Ingest"), "Báo cáo"), ...errors(400, 500) }
+      }
+    },
+    "/api/taixiu/live": {
+      get: {
+        summary: "SSE: đẩy `next` mỗi khi có phiên mới (WebSocket: /api/taixiu/live/ws)",
+        responses: {
+          200: {
+            description: "event: prediction, data: Next (JSON, luôn theo shape tiếng Việt)",
+            content: { "text/event-stream": { schema: str() } }
+          }
+        }
+      }
+    },
+    "/api/taixiu/admin/config": {
+      get: {
+        summary: "Config predictor hiện hành",
+        security: adminSecurity,
+        responses: { 200: json(ref("ConfigVersion"), "Phiên bản hiện hành"), ...errors(401, 503) }
+      },
+      patch: {
+        summary: "Sửa một phần config ⇒ phiên bản mới",
+        security: adminSecurity,
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                allOf: [
+                  ref("PredictorConfig"),
+                  obj({ reason: str(), baseVersion: int({ description: "409 nếu khác phiên bản hiện tại" }) })
+                ]
+              }
+            }
+          }
+        },
+        responses: {
+          200: json(ref("ConfigVersion"), "Phiên bản mới (changed=false nếu không đổi gì)"),
+          ...errors(400, 401, 409, 503)
+        }
+      }
+    },
+    "/api/taixiu/admin/config/versions": {
+      get: {
+        summary: "Lịch sử phiên bản config",
+        security: adminSecurity,
+        parameters: [query("limit", int({ minimum: 1, maximum: 1000, default: 50 }), "Số phiên bản gần nhất")],
+        responses: {
+          200: json(obj({ current: int(), versions: arr(ref("ConfigVersion")) }), "Phiên bản"),
+          ...errors(400, 401, 503)
+        }
+      }
+    },
+    "/api/taixiu/admin/config/rollback": {
+      post: {
+        summary: "Quay về config của một phiên bản cũ (tạo phiên bản mới)",
+        security: adminSecurity,
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: obj({ version: int(), reason: str() }, { required: ["version"] }) } }
+        },
+        responses: { 200: json(ref("ConfigVersion"), "Phiên bản mới"), ...errors(400, 401, 404, 503) }
+      }
+    },
+    "/api/taixiu/admin/audit": {
+      get: {
+        summary: "Nhật ký thao tác admin",
+        security: adminSecurity,
+        parameters: [query("limit", int({ minimum: 1, maximum: 1000, default: 100 }), "Số mục gần nhất")],
+        responses: { 200: json(obj({ data: arr(ref("AuditEntry")) }), "Audit"), ...errors(400, 401, 503) }
+      }
+    },
+    "/api/taixiu/admin/keys": {
+      post: {
+        summary: "Cấp API key client (key thô chỉ trả một lần)",
+        security: adminSecurity,
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: obj(
+                {
+                  name: str({ minLength: 1, maxLength: 64 }),
+                  ratePerMinute: nullable(int({ minimum: 1 })),
+                  dailyQuota: nullable(int({ minimum: 1 }))
+                },
+                { required: ["name"] }
+              )
+            }
+          }
+        },
+        responses: {
+          201: json({ allOf: [ref("ApiKey"), obj({ key: str() })] }, "Key mới"),
+          ...errors(400, 401, 503)
+        }
+      },
+      get: {
+        summary: "Danh sách key kèm mức dùng hôm nay",
+        security: adminSecurity,
+        responses: {
+          200: json(
+            obj({
+              defaults: obj({
+                key: obj({ ratePerMinute: int(), dailyQuota: int() }),
+                anonymous: obj({ ratePerMinute: int(), dailyQuota: int() }),
+                required: bool
+              }),
+              data: arr({ allOf: [ref("ApiKey"), obj({ used_today: int() })] })
+            }),
+            "Key"
+          ),
+          ...errors(401, 503)
+        }
+      }
+    },
+    "/api/taixiu/admin/keys/{id}": {
+      parameters: [pathParam("id", "id của key")],
+      delete: {
+        summary: "Thu hồi key",
+        security: adminSecurity,
+        responses: { 200: json(ref("ApiKey"), "Key đã thu hồi"), ...errors(401, 404, 503) }
+      }
+    }
+  };
+
+  // tham số & lỗi chung của mọi route: ngôn ngữ, API key client, rate limit
+  for (const [p, item] of Object.entries(paths)) {
+    const admin = p.startsWith("/api/taixiu/admin");
+    item.parameters = [
+      ...(item.parameters ?? []),
+      { $ref: "#/components/parameters/lang" },
+      ...(admin ? [] : [{ $ref: "#/components/parameters/api_key" }])
+    ];
+    if (admin) continue;
+    for (const op of Object.values(item).filter((o) => o.responses)) {
+      op.security = [{}, { clientKey: [] }, { clientKeyQuery: [] }];
+      Object.assign(op.responses, errors(401, 413, 429));
+    }
+  }
+
+  const errorResponse = (schema, description) => json(ref(schema), description);
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "TaiXiu Advanced Ensemble API",
+      version,
+      description:
+        "Response mặc định theo shape tiếng Việt (phien, du_doan, …). ?lang=en đổi key, nhãn Tài/Xỉu, " +
+        "mức rủi ro và câu giải thích (vd. phien ⇒ session, du_doan ⇒ prediction); Accept-Language: en " +
+        "chỉ đổi nhãn & câu chữ, giữ nguyên key. " +
+        "Query sai kiểu / ngoài khoảng ⇒ 400 kèm danh sách trường lỗi."
+    },
+    paths,
+    components: {
+      parameters: {
+        lang: query("lang", str({ enum: langs, default: langs[0] }), "Ngôn ngữ response, đổi cả tên key (ưu tiên hơn Accept-Language)"),
+        api_key: query("api_key", str(), "API key client (thay cho header X-API-Key)")
+      },
+      responses: {
+        E400: errorResponse("ValidationError", "Tham số không hợp lệ"),
+        E401: errorResponse("Error", "Thiếu / sai key"),
+        E404: errorResponse("Error", "Không tìm thấy"),
+        E409: errorResponse("Error", "Xung đột phiên bản / trạng thái"),
+        E413: errorResponse("Error", "Quá nặng: chi phí vượt giới hạn/phút hoặc vượt giới hạn route đồng bộ"),
+        E429: {
+          ...errorResponse("RateLimited", "Hết lượt (rate) hoặc hết hạn mức ngày (quota)"),
+          headers: { "Retry-After": { schema: int(), description: "giây" } }
+        },
+        E500: errorResponse("Error", "Lỗi server"),
+        E503: errorResponse("Error", "Chưa cấu hình (admin API) / hàng đợi job đầy")
+      },
+      securitySchemes: {
+        clientKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        clientKeyQuery: { type: "apiKey", in: "query", name: "api_key" },
+        adminBearer: { type: "http", scheme: "bearer" },
+        adminKey: { type: "apiKey", in: "header", name: "X-API-Key", description: "Key trong ADMIN_API_KEYS" }
+      },
+      schemas
+    }
+  };
+}
+
+/** ["GET /api/taixiu/history", ...] — danh sách route cho trang "/" */
+function listOperations(doc) {
+  const methods = ["get", "post", "put", "patch", "delete"];
+  return Object.entries(doc.paths).flatMap(([p, item]) =>
+    methods.filter((m) => item[m]).map((m) => `${m.toUpperCase()} ${p}`)
+  );
+}
+
+module.exports = { buildOpenApi, listOperations };
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const { NdjsonAppender } = require("./ndjson");
+
+/* =======================
+ * PredictionLedger — sổ ghi mọi dự đoán đã phát ra, đối chiếu khi có kết quả thật
+ * ======================= */
+
+/**
+ * Lưu dạng NDJSON append-only gồm 2 loại dòng:
+ *   { type: "prediction", phien_sau, ... }  — lúc /predict trả kết quả
+ *   { type: "resolution", phien_sau, real } — khi phiên đó xuất hiện trong nguồn
+ * Mỗi phien_sau chỉ giữ dự đoán đầu tiên (dự đoán "thật" lúc chưa biết kết quả).
+ */
+class PredictionLedger {
+  constructor({ file }) {
+    this.file = file;
+    this.bySession = new Map();
+    this.writer = new NdjsonAppender();
+  }
+
+  get size() {
+    return this.bySession.size;
+  }
+
+  load() {
+    this.bySession.clear();
+    if (!fs.existsSync(this.file)) return 0;
+    const lines = fs.readFileSync(this.file, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let ev;
+      try {
+        ev = JSON.parse(line);
+      } catch (_e) {
+        continue;
+      }
+      if (ev.type === "prediction" && !this.bySession.has(ev.phien_sau)) {
+        const { type, ...rec } = ev;
+        this.bySession.set(ev.phien_sau, { ...rec, status: "pending", real: null });
+      } else if (ev.type === "resolution") {
+        const rec = this.bySession.get(ev.phien_sau);
+        if (rec) this.applyResolution(rec, ev.real, ev.resolvedAt);
+      }
+    }
+    return this.bySession.size;
+  }
+
+  applyResolution(rec, real, resolvedAt) {
+    rec.status = "resolved";
+    rec.real = real;
+    rec.correct = rec.choice === real;
+    rec.resolvedAt = resolvedAt;
+  }
+
+  /** Ghi dự đoán cho phien_sau; nếu đã có thì giữ bản cũ và trả về nó */
+  async record(entry) {
+    const existing = this.bySession.get(entry.phien_sau);
+    if (existing) return existing;
+    const rec = { ...entry, createdAt: new Date().toISOString() };
+    this.bySession.set(rec.phien_sau, { ...rec, status: "pending", real: null });
+    try {
+      await this.append([{ type: "prediction", ...rec }]);
+    } catch (e) {
+      this.bySession.delete(rec.phien_sau); // chưa ghi được ⇒ lần /predict sau ghi lại
+      throw e;
+    }
+    return this.bySession.get(rec.phien_sau);
+  }
+
+  /** Đối chiếu các dự đoán đang chờ với lịch sử (rows đã normalize) ⇒ các bản ghi vừa resolve */
+  async resolve(rows) {
+    const bySession = new Map(rows.map((r) => [r.session, r]));
+    const events = [];
+    const resolved = [];
+    for (const rec of this.bySession.values()) {
+      if (rec.status !== "pending") continue;
+      const row = bySession.get(rec.phien_sau);
+      if (!row || !row.R) continue;
+      const resolvedAt = new Date().toISOString();
+      this.applyResolution(rec, row.R, resolvedAt);
+      events.push({ type: "resolution", phien_sau: rec.phien_sau, real: row.R, resolvedAt });
+      resolved.push(rec);
+    }
+    if (events.length) {
+      try {
+        await this.append(events);
+      } catch (e) {
+        // chưa ghi được ⇒ trả về pending để lần resolve sau ghi lại
+        for (const rec of resolved) {
+          rec.status = "pending";
+          rec.real = null;
+          delete rec.correct;
+          delete rec.resolvedAt;
+        }
+        throw e;
+      }
+    }
+    return resolved.sort((a, b) => a.phien_sau - b.phien_sau);
+  }
+
+  append(events) {
+    return this.writer.append(this.file, events);
+  }
+
+  list({ status } = {}) {
+    const all = [...this.bySession.values()].sort((a, b) => a.phien_sau - b.phien_sau);
+    return status ? all.filter((r) => r.status === status) : all;
+  }
+
+  /** Bản ghi của dự đoán cho phiên phienSau (null nếu không có) */
+  get(phienSau) {
+    return this.bySession.get(phienSau) ?? null;
+  }
+
+  resolved() {
+    return this.list({ status: "resolved" });
+  }
+}
+
+module.exports = { PredictionLedger };
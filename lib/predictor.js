@@ -0,0 +1,382 @@
+const { SequenceState } = require("./sequenceState");
+const { ChangePointMonitor } = require("./changePoint");
+const { HedgeWeights } = require("./onlineWeights");
+const { isModelInput } = require("./normalize");
+
+/* =======================
+ * “Engines” mô phỏng theo spec
+ * ======================= */
+
+/** RealTimePatternEngine — tìm các motif gần cuối và thống kê next-step */
+class RealTimePatternEngine {
+  // batch mới đã nằm trong cửa sổ của state ⇒ ngữ cảnh = ctxLen phiên cuối
+  extract(state) {
+    const ctxLen = Math.min(5, Math.max(2, Math.floor(state.length / 50)));
+    const ctx = state.tail(ctxLen);
+    if (ctx.length < 2) return { context: ctx, stats: null };
+
+    const { T: hitsT, X: hitsX } = state.nextCounts(ctx.join(""));
+    const total = hitsT + hitsX;
+    const pT = total > 0 ? hitsT / total : 0.5;
+    return { context: ctx, stats: { hitsT, hitsX, total, pT } };
+  }
+}
+
+/** AdvancedTrendEngine — phân tích xu hướng: streak, alternation, distribution, totals */
+class AdvancedTrendEngine {
+  analyze(state, perf) {
+    const n = state.length;
+
+    // streak hiện tại
+    const streak = state.streak();
+
+    // alternation gần đây
+    const altWindow = Math.min(40, n - 1);
+    const flip = state.flipsLast(altWindow);
+    const altRatio = altWindow > 0 ? flip / altWindow : 0.5;
+
+    // phân phối gần
+    const win = Math.min(80, n);
+    const tCnt = state.countTLast(win);
+    const ratioT = win > 0 ? tCnt / win : 0.5;
+
+    return {
+      streakDir: streak.side,
+      streakLen: streak.len,
+      altRatio,
+      ratioT,
+      perfHint: perf?.accuracy ?? 0
+    };
+  }
+}
+
+/** SmartEnsembleEngine — trộn các xác suất thành p(T) cuối */
+class SmartEnsembleEngine {
+  combinePredictions(analysis, trend, weights, threshold = 0.72) {
+    const clamp = (x) => Math.max(0.05, Math.min(0.95, x));
+    // lặp theo các model có trọng số (đã đăng ký & đang bật); chuẩn hóa phòng khi tổng ≠ 1
+    const keys = Object.keys(weights);
+    const wSum = keys.reduce((a, k) => a + weights[k], 0) || 1;
+    let pT = 0,
+      coverage = 0;
+    for (const k of keys) {
+      const w = weights[k] / wSum;
+      pT += clamp(analysis[k]?.pT ?? 0.5) * w;
+      coverage += (analysis[k]?.coverage ?? 0.5) * w; // mức phủ dữ liệu do từng model tự báo
+    }
+
+    // confidence dựa theo |pT-0.5|, mức phủ dữ liệu, và tính ổn định trend
+    const dist = Math.abs(pT - 0.5) * 2; // 0..1
+
+    const stability =
+      (trend.streakLen >= 3 ? 0.15 : 0) +
+      (trend.altRatio > 0.55 || trend.altRatio < 0.45 ? 0.1 : 0);
+
+    const confidence = Math.max(
+      0.5,
+      Math.min(0.95, 0.6 * dist + 0.3 * coverage + 0.1 * stability)
+    );
+
+    return {
+      choice: pT >= 0.5 ? "T" : "X",
+      pT,
+      confidence,
+      passedThreshold: pT >= threshold || pT <= 1 - threshold
+    };
+  }
+}
+
+/** PredictionStability — xem p của các mô-đun có hội tụ không */
+class PredictionStability {
+  assess(pred, recent) {
+    if (!recent || recent.length < 3) return "initializing";
+    const avgP = recent.reduce((a, b) => a + (b.pT ?? 0.5), 0) / recent.length;
+    const varP =
+      recent.reduce((a, b) => a + Math.pow((b.pT ?? 0.5) - avgP, 2), 0) /
+      recent.length;
+    return varP < 0.01 ? "stable" : "volatile";
+  }
+}
+
+/** PerformanceMetricsEngine — accuracy/precision/recall từ các dự đoán đã có kết quả thật */
+class PerformanceMetricsEngine {
+  calculate(records) {
+    // records: [{choice, real}, ...] — chỉ tính bản ghi đã resolve; lớp dương = Tài
+    const done = records.filter((r) => r.real === "T" || r.real === "X");
+    let correct = 0,
+      tp = 0,
+      fp = 0,
+      fn = 0;
+    for (const r of done) {
+      if (r.choice === r.real) correct++;
+      if (r.choice === "T" && r.real === "T") tp++;
+      if (r.choice === "T" && r.real === "X") fp++;
+      if (r.choice === "X" && r.real === "T") fn++;
+    }
+    const ratio = (a, b) => (b > 0 ? a / b : null);
+    return {
+      evaluated: done.length,
+      accuracy: ratio(correct, done.length),
+      precision: ratio(tp, tp + fp),
+      recall: ratio(tp, tp + fn)
+    };
+  }
+}
+/* =======================
+ * AdvancedTaiXiuPredictor (theo spec)
+ * ======================= */
+class AdvancedTaiXiuPredictor {
+  // registry: nguồn sub-model (bắt buộc); models: danh sách key ghi đè tập model đang bật
+  // regimeOnly: thu cửa sổ về regime hiện tại (lib/changePoint.js), giữ ít nhất regimeMinLength phiên
+  // weightLearner: HedgeWeights dùng chung (vd. học từ ledger); mặc định learner mới theo prior với weightLearnerOpts
+  // weights: { key: w } cố định (không học online) — dùng cho backtest thử trọng số; thiếu key ⇒ trọng số registry
+  constructor({
+    registry,
+    models = null,
+    weightLearner = null,
+    weightLearnerOpts = {},
+    weights = null,
+    dataWindow = 500,
+    predictionThreshold = 0.72,
+    adaptiveLearningRate = 0.01,
+    regimeOnly = false,
+    regimeMinLength = 100,
+    changePoint = {}
+  } = {}) {
+    if (!registry) throw new Error("Predictor cần registry sub-model.");
+    this.modelDefs = registry.list({ only: models });
+    if (!this.modelDefs.length) throw new Error("Không có sub-model nào được bật.");
+
+    this.realTimeData = [];
+    this.metaData = { lastUpdate: null, excludedRows: 0, changePoints: 0 };
+
+    this.models = this.initializeAdvancedModels();
+    this.performanceMetrics = {
+      evaluated: 0, accuracy: null, precision: null, recall: null, last10Predictions: []
+    };
+    this.config = {
+      dataWindow,
+      predictionThreshold,
+      adaptiveLearningRate,
+      regimeOnly,
+      regimeMinLength,
+      ensembleWeights: null
+    };
+    // trọng số ensemble học online từ log loss của từng model khi kết quả về
+    this.weightLearner = weights
+      ? new HedgeWeights({ prior: { ...this.calculateInitialWeights(), ...weights }, eta: 0, share: 0 })
+      : weightLearner ??
+        new HedgeWeights({ prior: this.calculateInitialWeights(), ...weightLearnerOpts });
+    this.config.ensembleWeights = this.weightLearner.weights(Object.keys(this.models));
+    this.pendingOutcome = null; // pT từng model của dự đoán gần nhất, chờ phiên kế để chấm
+    // cửa sổ dataWindow + bộ đếm tăng dần (n-gram, Markov, run, tổng tích lũy)
+    this.state = new SequenceState({ window: this.config.dataWindow });
+    this.windowCache = { end: -1, start: -1, seq: null, rows: null };
+    // CUSUM trên toàn bộ chuỗi đã quan sát (không bị giới hạn bởi cửa sổ)
+    this.changePoints = new ChangePointMonitor(changePoint);
+
+    // engines
+    this.patternEngine = new RealTimePatternEngine();
+    this.trendEngine = new AdvancedTrendEngine();
+    this.ensembleEngine = new SmartEnsembleEngine();
+    this.stabilityEngine = new PredictionStability();
+    this.metricsEngine = new PerformanceMetricsEngine();
+  }
+
+  initializeAdvancedModels() {
+    return Object.fromEntries(this.modelDefs.map((d) => [d.key, d.create()]));
+  }
+  calculateInitialWeights() {
+    const sum = this.modelDefs.reduce((a, d) => a + d.weight, 0) || 1;
+    return Object.fromEntries(this.modelDefs.map((d) => [d.key, d.weight / sum]));
+  }
+
+  // cửa sổ dạng mảng cho model ngoài không dùng state; tạo lười & cache tới phiên kế
+  windowArrays() {
+    const { end, start } = this.state;
+    if (this.windowCache.end !== end || this.windowCache.start !== start) {
+      this.windowCache = { end, start, seq: null, rows: null };
+    }
+    return this.windowCache;
+  }
+  get historicalData() {
+    const c = this.windowArrays();
+    if (!c.seq) c.seq = this.state.windowSeq();
+    return c.seq;
+  }
+  get historicalRows() {
+    const c = this.windowArrays();
+    if (!c.rows) c.rows = this.state.windowRows();
+    return c.rows;
+  }
+
+  // ngữ cảnh truyền cho train/analyze của model: state + mảng cửa sổ (lười)
+  modelContext(extra) {
+    const self = this;
+    return {
+      state: this.state,
+      get historical() { return self.historicalData; },
+      get rows() { return self.historicalRows; },
+      ...extra
+    };
+  }
+
+  // nhận rows đã normalize ({ R, dice, total, flags, ... }) hoặc chuỗi 'T'/'X' thuần;
+  // dòng bị gắn cờ không nhất quán (validateRow) bị loại khỏi input model
+  preprocessData(data) {
+    const rows = data.map((x) => (typeof x === "string" ? { R: x, dice: null, total: null } : x));
+    const usable = rows.filter(isModelInput);
+    this.metaData.excludedRows += rows.length - usable.length;
+    return usable;
+  }
+
+  extractRealTimePatterns() {
+    return this.patternEngine.extract(this.state);
+  }
+
+  /** Thêm một phiên: cập nhật state dùng chung, change-point và bộ đếm riêng của từng model (nếu có) */
+  observe(row) {
+    // phiên này là kết quả của dự đoán trước đó ⇒ cập nhật trọng số theo log loss từng model
+    if (this.pendingOutcome) {
+      this.weightLearner.update(this.pendingOutcome, row.R, { phien_sau: row.session ?? null });
+      this.pendingOutcome = null;
+    }
+    this.state.push(row);
+    const found = this.changePoints.push(row);
+    this.metaData.changePoints += found.length;
+    if (this.config.regimeOnly) {
+      // chỉ số của monitor trùng chỉ số tuyệt đối của state (cùng nhận một chuỗi phiên)
+      this.state.trimTo(
+        Math.min(this.changePoints.start, this.state.end - this.config.regimeMinLength)
+      );
+    }
+    for (const m of Object.values(this.models)) m.observe?.(row, this.state);
+    return found;
+  }
+
+  async adaptiveModelTraining() {
+    const trainingData = this.modelContext({
+      realTime: this.realTimeData,
+      meta: this.metaData
+    });
+    await Promise.all(
+      Object.values(this.models).map((m) =>
+        m.train(trainingData, this.config.adaptiveLearningRate)
+      )
+    );
+    // trọng số hiện tại của learner (đã cập nhật trong observe)
+    this.config.ensembleWeights = this.weightLearner.weights(Object.keys(this.models));
+  }
+
+  async updateData(newData) {
+    try {
+      const processedRows = this.preprocessData(newData);
+      const changePoints = processedRows.flatMap((r) => this.observe(r));
+
+      this.realTimeData = this.extractRealTimePatterns();
+
+      await this.adaptiveModelTraining();
+      this.metaData.lastUpdate = new Date();
+      return { success: true, changePoints };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  /** { key: pT } của từng model — dùng cho ledger & weight learner */
+  modelProbabilities(analysis) {
+    return Object.fromEntries(Object.keys(this.models).map((k) => [k, analysis[k]?.pT ?? null]));
+  }
+
+  crossModelAnalysis(individual) {
+    // độ lệch giữa mô hình
+    const arr = Object.keys(this.models).map((k) => individual[k]?.pT ?? 0.5);
+    const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
+    const varP = arr.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / arr.length;
+    return { mean, varP };
+  }
+
+  async multilayerAnalysis() {
+    const analysis = {};
+    const ctx = this.modelContext({ realTime: this.realTimeData?.context ?? [] });
+    const promises = Object.entries(this.models).map(async ([name, model]) => {
+      analysis[name] = await model.analyze(ctx);
+    });
+    await Promise.all(promises);
+
+    analysis.crossModel = this.crossModelAnalysis(analysis);
+
+    return analysis;
+  }
+
+  advancedTrendAnalysis() {
+    return this.trendEngine.analyze(this.state, this.performanceMetrics);
+  }
+
+  ensemblePrediction(analysis, trend) {
+    return this.ensembleEngine.combinePredictions(
+      analysis,
+      trend,
+      this.config.ensembleWeights,
+      this.config.predictionThreshold
+    );
+  }
+
+  checkPredictionStability(pred) {
+    return this.stabilityEngine.assess(
+      pred,
+      this.performanceMetrics.last10Predictions
+    );
+  }
+
+  // records: dự đoán đã resolve từ ledger ⇒ accuracy thật (gọi trước updateData để tinh chỉnh trọng số)
+  loadPerformanceHistory(records) {
+    const m = this.metricsEngine.calculate(records);
+    this.performanceMetrics = { ...this.performanceMetrics, ...m };
+  }
+
+  recordPredictionPerformance(pred) {
+    this.performanceMetrics.last10Predictions = [
+      ...this.performanceMetrics.last10Predictions.slice(-9),
+      pred
+    ];
+  }
+
+  async predict() {
+    try {
+      if (this.state.length < 100)
+        throw new Error("Insufficient data for reliable prediction");
+
+      const analysis = await this.multilayerAnalysis();
+      const trend = this.advancedTrendAnalysis();
+      const finalPred = this.ensemblePrediction(analysis, trend);
+      const stability = this.checkPredictionStability(finalPred);
+      this.recordPredictionPerformance(finalPred);
+      this.pendingOutcome = this.modelProbabilities(analysis);
+
+      return {
+        ...finalPred,
+        stability,
+        excludedRows: this.metaData.excludedRows,
+        regime: {
+          ...this.changePoints.current(),
+          regimeOnly: this.config.regimeOnly,
+          window: this.state.length
+        },
+        modelWeights: this.config.ensembleWeights,
+        diagnostics: { analysis, trend }
+      };
+    } catch (e) {
+      return { error: e.message, confidence: 0, recommendation: "No-pred" };
+    }
+  }
+}
+
+module.exports = {
+  RealTimePatternEngine,
+  AdvancedTrendEngine,
+  SmartEnsembleEngine,
+  PredictionStability,
+  PerformanceMetricsEngine,
+  AdvancedTaiXiuPredictor
+};
@@ -0,0 +1,43 @@
+const { FLAG_CODES, isModelInput } = require("./normalize");
+
+/* =======================
+ * Quality — tổng hợp cờ nhất quán trên lịch sử (thay cho dataQuality cũ)
+ * ======================= */
+
+/**
+ * rows: đã normalize (có flags), sắp theo session.
+ * ⇒ { sessions, usable, flagged, data_quality, reasons, missing_sessions, recent_flagged }
+ * data_quality = tỷ lệ phiên dùng được làm input model.
+ * describe(code): mô tả mã lỗi theo ngôn ngữ response; null ⇒ mô tả gốc trong FLAG_CODES.
+ */
+function summarizeQuality(rows, { recent = 20, describe = () => null } = {}) {
+  const reasons = Object.fromEntries(Object.keys(FLAG_CODES).map((k) => [k, 0]));
+  const flaggedRows = [];
+  let usable = 0;
+  for (const r of rows) {
+    if (isModelInput(r)) usable++;
+    if (r.flags?.length) {
+      flaggedRows.push(r);
+      for (const code of r.flags) reasons[code] = (reasons[code] ?? 0) + 1;
+    }
+  }
+
+  // phiên bị thiếu giữa đầu & cuối (nguồn bỏ sót hoặc chưa từng lấy được)
+  const first = rows[0]?.session;
+  const last = rows[rows.length - 1]?.session;
+  const missing = rows.length ? last - first + 1 - rows.length : 0;
+
+  return {
+    sessions: rows.length,
+    usable,
+    flagged: flaggedRows.length,
+    data_quality: rows.length ? Number((usable / rows.length).toFixed(4)) : null,
+    reasons: Object.fromEntries(
+      Object.entries(reasons).map(([code, count]) => [code, { count, mo_ta: describe(code) ?? FLAG_CODES[code] }])
+    ),
+    missing_sessions: missing,
+    recent_flagged: flaggedRows.slice(-recent).reverse()
+  };
+}
+
+module.exports = { summarizeQuality };
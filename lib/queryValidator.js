@@ -0,0 +1,96 @@
+/* =======================
+ * Query validation — kiểm tra & ép kiểu query theo tham số khai báo trong tài liệu OpenAPI
+ * ======================= */
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// "/api/taixiu/backtest/jobs/{id}" ⇒ /^\/api\/taixiu\/backtest\/jobs\/[^/]+$/
+function pathRegex(p) {
+  const escape = (s) => s.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${p.split(/\{[^}]+\}/).map(escape).join("[^/]+")}$`);
+}
+
+// chỉ hỗ trợ $ref nội bộ ("#/components/parameters/lang")
+function deref(doc, node) {
+  if (!node?.$ref) return node;
+  return node.$ref.replace(/^#\//, "").split("/").reduce((o, k) => o?.[k], doc);
+}
+
+function rangeText(schema) {
+  const { minimum: min, maximum: max } = schema;
+  if (min != null && max != null) return ` trong ${min}..${max}`;
+  if (min != null) return ` ≥ ${min}`;
+  if (max != null) return ` ≤ ${max}`;
+  return "";
+}
+
+const BOOLEANS = { 1: true, true: true, 0: false, false: false };
+
+/** Một giá trị query (string) theo schema ⇒ { value } hoặc { error } */
+function checkValue(raw, schema = {}) {
+  if (Array.isArray(raw)) return { error: "Chỉ nhận một giá trị." };
+  if (raw !== null && typeof raw === "object") return { error: "Cần giá trị đơn, không phải object." };
+  const s = String(raw).trim();
+  let value = s;
+
+  if (schema.type === "integer" || schema.type === "number") {
+    const isInt = schema.type === "integer";
+    value = Number(s);
+    const bad =
+      s === "" ||
+      !Number.isFinite(value) ||
+      (isInt && !Number.isInteger(value)) ||
+      (schema.minimum != null && value < schema.minimum) ||
+      (schema.maximum != null && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum));
+    if (bad) return { error: `Cần ${isInt ? "số nguyên" : "số"}${rangeText(schema)}.` };
+  } else if (schema.type === "boolean") {
+    if (!Object.hasOwn(BOOLEANS, s)) return { error: "Cần 1/0 hoặc true/false." };
+    value = BOOLEANS[s];
+  } else if (schema.pattern && !new RegExp(schema.pattern).test(s)) {
+    return { error: "Sai định dạng." };
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { error: `Cần một trong: ${schema.enum.join(", ")}.` };
+  }
+  return { value };
+}
+
+/**
+ * Middleware Express: tìm operation theo method + path, kiểm tra các tham số "in: query" đã khai báo.
+ * Lỗi ⇒ 400 { error, errors: [{ field, message }] }; hợp lệ ⇒ req.query mang giá trị đã ép kiểu
+ * (số / boolean). Tham số không khai báo được giữ nguyên; default chỉ để tài liệu (route tự áp).
+ */
+function createQueryValidator(doc) {
+  const ops = [];
+  for (const [p, item] of Object.entries(doc.paths)) {
+    for (const m of METHODS.filter((x) => item[x])) {
+      const params = new Map();
+      for (const node of [...(item.parameters ?? []), ...(item[m].parameters ?? [])]) {
+        const param = deref(doc, node);
+        if (param?.in === "query") params.set(param.name, deref(doc, param.schema));
+      }
+      ops.push({ method: m.toUpperCase(), re: pathRegex(p), params });
+    }
+  }
+
+  return function validateQuery(req, res, next) {
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    const fullPath = req.baseUrl + req.path;
+    const op = ops.find((o) => o.method === method && o.re.test(fullPath));
+    if (!op) return next();
+
+    const errors = [];
+    const query = { ...req.query };
+    for (const [name, schema] of op.params) {
+      if (req.query[name] === undefined) continue;
+      const r = checkValue(req.query[name], schema);
+      if (r.error) errors.push({ field: name, message: r.error });
+      else query[name] = r.value;
+    }
+    if (errors.length) return res.status(400).json({ error: "Query không hợp lệ.", errors });
+    req.query = query;
+    next();
+  };
+}
+
+module.exports = { createQueryValidator, checkValue };
@@ -0,0 +1,209 @@
+const stats = require("./stats");
+const { parseDice, THREE_DICE_TOTALS } = require("./dice");
+
+/* =======================
+ * Randomness diagnostics — lịch sử có giống xúc xắc cân đối không?
+ * Mỗi test trả { statistic, p_value, ... } hoặc { skipped } khi thiếu dữ liệu.
+ * ======================= */
+
+const round = (x, d = 4) => (x == null || !Number.isFinite(x) ? x : Number(x.toFixed(d)));
+
+/** Gộp các ô liền kề cho tới khi kỳ vọng ≥ minExpected (điều kiện dùng xấp xỉ χ²) */
+function poolBins(bins, minExpected = 5) {
+  const groups = [];
+  let acc = null;
+  for (const b of bins) {
+    if (!acc) acc = { from: b.label, to: b.label, observed: 0, expected: 0 };
+    acc.to = b.label;
+    acc.observed += b.observed;
+    acc.expected += b.expected;
+    if (acc.expected >= minExpected) {
+      groups.push(acc);
+      acc = null;
+    }
+  }
+  // phần đuôi còn thiếu kỳ vọng ⇒ gộp vào nhóm trước
+  if (acc && groups.length) {
+    const last = groups[groups.length - 1];
+    last.to = acc.to;
+    last.observed += acc.observed;
+    last.expected += acc.expected;
+  } else if (acc) {
+    groups.push(acc);
+  }
+  return groups.map((g) => ({
+    label: g.from === g.to ? g.from : `${g.from}..${g.to}`,
+    observed: g.observed,
+    expected: g.expected
+  }));
+}
+
+function chiSquare(bins, { minExpected = 5 } = {}) {
+  const pooled = poolBins(bins, minExpected);
+  if (pooled.length < 2) return { skipped: "Không đủ dữ liệu để có ≥2 ô với kỳ vọng ≥5." };
+  const statistic = pooled.reduce(
+    (a, b) => a + Math.pow(b.observed - b.expected, 2) / b.expected,
+    0
+  );
+  const df = pooled.length - 1;
+  return {
+    statistic: round(statistic),
+    df,
+    p_value: round(stats.chiSquareSurvival(statistic, df)),
+    bins: pooled.map((b) => ({ ...b, expected: round(b.expected, 2) }))
+  };
+}
+
+/** χ² đồng đều cho 6 mặt xúc xắc */
+function faceUniformity(rows) {
+  const counts = [0, 0, 0, 0, 0, 0];
+  let n = 0;
+  for (const r of rows) {
+    const faces = parseDice(r.dice);
+    if (!faces || !faces.every((f) => f >= 1 && f <= 6)) continue;
+    faces.forEach((f) => counts[f - 1]++);
+    n += 3;
+  }
+  if (n < 30) return { skipped: "Cần ≥10 phiên có xúc xắc hợp lệ.", faces: n };
+  const res = chiSquare(
+    counts.map((c, i) => ({ label: String(i + 1), observed: c, expected: n / 6 }))
+  );
+  return { test: "chi-square (mặt 1..6 đồng đều)", faces: n, ...res };
+}
+
+/** χ² phân phối tổng so với phân phối chính xác của 3d6 (ô ít kỳ vọng được gộp ở hai đuôi) */
+function totalsDistribution(rows) {
+  const totals = rows.map((r) => r.total).filter((t) => Number.isInteger(t) && t >= 3 && t <= 18);
+  const n = totals.length;
+  if (n < 30) return { skipped: "Cần ≥30 phiên có tổng hợp lệ.", sessions: n };
+  const counts = {};
+  totals.forEach((t) => (counts[t] = (counts[t] || 0) + 1));
+  const bins = [];
+  for (let t = 3; t <= 18; t++) {
+    bins.push({ label: String(t), observed: counts[t] || 0, expected: n * THREE_DICE_TOTALS[t] });
+  }
+  return { test: "chi-square (tổng so với 3d6)", sessions: n, ...chiSquare(bins) };
+}
+
+/** Wald–Wolfowitz runs test trên chuỗi T/X (hai phía) */
+function runsTest(seq) {
+  const n1 = seq.filter((x) => x === "T").length;
+  const n2 = seq.length - n1;
+  const n = seq.length;
+  if (n1 < 2 || n2 < 2) return { skipped: "Cần cả Tài và Xỉu trong chuỗi." };
+  let runs = 1;
+  for (let i = 1; i < n; i++) if (seq[i] !== seq[i - 1]) runs++;
+  const mean = (2 * n1 * n2) / n + 1;
+  const variance = (2 * n1 * n2 * (2 * n1 * n2 - n)) / (n * n * (n - 1));
+  const z = (runs - mean) / Math.sqrt(variance);
+  return {
+    test: "Wald–Wolfowitz runs",
+    n,
+    nT: n1,
+    nX: n2,
+    runs,
+    expected_runs: round(mean, 2),
+    statistic: round(z),
+    p_value: round(2 * (1 - stats.normalCdf(Math.abs(z))))
+  };
+}
+
+/** Tự tương quan lag 1..maxLag của chuỗi T=1/X=0, kèm Ljung–Box Q */
+function autocorrelation(seq, maxLag = 5) {
+  const n = seq.length;
+  if (n < maxLag + 20) return { skipped: `Cần ≥${maxLag + 20} phiên.` };
+  const x = seq.map((v) => (v === "T" ? 1 : 0));
+  const mean = x.reduce((a, b) => a + b, 0) / n;
+  const denom = x.reduce((a, b) => a + Math.pow(b - mean, 2), 0);
+  if (denom === 0) return { skipped: "Chuỗi hằng, không tính được tự tương quan." };
+  const lags = [];
+  let q = 0;
+  for (let k = 1; k <= maxLag; k++) {
+    let num = 0;
+    for (let i = 0; i + k < n; i++) num += (x[i] - mean) * (x[i + k] - mean);
+    const r = num / denom;
+    const z = r * Math.sqrt(n); // H0: r ~ N(0, 1/n)
+    q += (r * r) / (n - k);
+    lags.push({
+      lag: k,
+      statistic: round(r),
+      z: round(z),
+      p_value: round(2 * (1 - stats.normalCdf(Math.abs(z))))
+    });
+  }
+  q *= n * (n + 2);
+  return {
+    test: "autocorrelation",
+    n,
+    lags,
+    ljung_box: {
+      statistic: round(q),
+      df: maxLag,
+      p_value: round(stats.chiSquareSurvival(q, maxLag))
+    }
+  };
+}
+
+/**
+ * Độ dài chuỗi bệt so với kỳ vọng hình học: với xúc xắc cân đối P(T)=108/216=0.5
+ * ⇒ P(độ dài = L) = 0.5^L. Bỏ run đầu và run cuối (bị cắt, không biết độ dài thật).
+ */
+function runLengthDistribution(seq) {
+  const lengths = [];
+  let len = 1;
+  for (let i = 1; i < seq.length; i++) {
+    if (seq[i] === seq[i - 1]) len++;
+    else {
+      lengths.push(len);
+      len = 1;
+    }
+  }
+  const complete = lengths.slice(1); // run cuối chưa được push; bỏ run đầu
+  const runs = complete.length;
+  if (runs < 20) return { skipped: "Cần ≥20 run hoàn chỉnh.", runs };
+  const maxLen = Math.max(...complete);
+  const counts = {};
+  complete.forEach((l) => (counts[l] = (counts[l] || 0) + 1));
+  const bins = [];
+  for (let L = 1; L <= maxLen; L++) {
+    // ô cuối gom phần đuôi L ≥ maxLen để tổng kỳ vọng = runs
+    const expected = L < maxLen ? runs * Math.pow(0.5, L) : runs * Math.pow(0.5, L - 1);
+    bins.push({ label: String(L), observed: counts[L] || 0, expected });
+  }
+  return {
+    test: "chi-square (độ dài run so với hình học p=0.5)",
+    runs,
+    mean_length: round(complete.reduce((a, b) => a + b, 0) / runs, 3),
+    expected_mean_length: 2,
+    longest: maxLen,
+    ...chiSquare(bins)
+  };
+}
+
+/** Chạy toàn bộ test; rows đã normalize, seq là chuỗi T/X tương ứng */
+function analyzeRandomness(rows, { maxLag = 5, alpha = 0.05 } = {}) {
+  const seq = rows.map((r) => r.R).filter(Boolean);
+  const tests = {
+    faces: faceUniformity(rows),
+    totals: totalsDistribution(rows),
+    runs: runsTest(seq),
+    autocorrelation: autocorrelation(seq, maxLag),
+    runLengths: runLengthDistribution(seq)
+  };
+  const flagged = [];
+  for (const [name, t] of Object.entries(tests)) {
+    if (t.p_value != null && t.p_value < alpha) flagged.push(name);
+    if (t.ljung_box && t.ljung_box.p_value < alpha) flagged.push(`${name}.ljung_box`);
+  }
+  return { sessions: rows.length, alpha, flagged, tests };
+}
+
+module.exports = {
+  poolBins,
+  faceUniformity,
+  totalsDistribution,
+  runsTest,
+  autocorrelation,
+  runLengthDistribution,
+  analyzeRandomness
+};
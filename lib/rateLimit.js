@@ -0,0 +1,94 @@
+/* =======================
+ * RateLimiter — token bucket theo phút + hạn mức theo ngày (UTC), tính theo "chi phí" của route
+ * ======================= */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+const msToNextDay = (now) => DAY_MS - (now % DAY_MS);
+
+/**
+ * Mỗi chủ thể (id key hoặc ip ẩn danh) có:
+ *  - bucket dung lượng ratePerMinute, hồi ratePerMinute/60 token mỗi giây
+ *  - bộ đếm chi phí đã dùng trong ngày UTC hiện tại (so với dailyQuota)
+ * Request có chi phí lớn hơn dung lượng bucket bị từ chối hẳn (reason "cost"): chờ bao lâu cũng không đủ,
+ * cần giảm tham số hoặc dùng key có hạn mức cao hơn.
+ * Bộ đếm nằm trong bộ nhớ: restart server ⇒ bucket & hạn mức ngày về đầy.
+ */
+class RateLimiter {
+  constructor({ now = () => Date.now(), maxSubjects = 10000 } = {}) {
+    this.now = now;
+    this.maxSubjects = maxSubjects;
+    this.buckets = new Map(); // id -> { tokens, at, rate }
+    this.daily = new Map(); // id -> { day, used }
+  }
+
+  // bỏ bucket đã hồi đầy (tương đương bucket mới) và bộ đếm của các ngày trước
+  prune(now) {
+    const day = utcDay(now);
+    for (const [id, b] of this.buckets) {
+      if (b.tokens + ((now - b.at) / 1000) * (b.rate / 60) >= b.rate) this.buckets.delete(id);
+    }
+    for (const [id, d] of this.daily) {
+      if (d.day !== day) this.daily.delete(id);
+    }
+  }
+
+  usage(id) {
+    const d = this.daily.get(id);
+    return d && d.day === utcDay(this.now()) ? d.used : 0;
+  }
+
+  /**
+   * Thử trừ `cost`; ⇒ { ok, reason?, retryAfter?, limit, remaining, reset, quota }
+   *  - reason: "rate" (hết token) | "quota" (hết hạn mức ngày) | "cost" (cost > ratePerMinute, không trừ gì)
+   *  - reset: giây tới khi bucket đầy lại; retryAfter: giây nên chờ khi bị từ chối
+   */
+  consume(id, cost, { ratePerMinute, dailyQuota }) {
+    const now = this.now();
+    if (this.buckets.size > this.maxSubjects) this.prune(now);
+    const perSec = ratePerMinute / 60;
+    const b = this.buckets.get(id) ?? { tokens: ratePerMinute, at: now };
+    b.rate = ratePerMinute;
+    b.tokens = Math.min(ratePerMinute, b.tokens + ((now - b.at) / 1000) * perSec);
+    b.at = now;
+    this.buckets.set(id, b);
+
+    const day = utcDay(now);
+    let d = this.daily.get(id);
+    if (!d || d.day !== day) {
+      d = { day, used: 0 };
+      this.daily.set(id, d);
+    }
+
+    const quotaReset = Math.ceil(msToNextDay(now) / 1000);
+    const quota = () => ({
+      limit: dailyQuota,
+      used: d.used,
+      remaining: Math.max(0, dailyQuota - d.used),
+      reset: quotaReset
+    });
+    const state = (extra) => ({
+      limit: ratePerMinute,
+      remaining: Math.max(0, Math.floor(b.tokens)),
+      reset: Math.ceil(Math.max(0, ratePerMinute - b.tokens) / perSec),
+      quota: quota(),
+      ...extra
+    });
+
+    if (cost > ratePerMinute) {
+      return state({ ok: false, reason: "cost", retryAfter: null });
+    }
+    if (d.used + cost > dailyQuota) {
+      return state({ ok: false, reason: "quota", retryAfter: quotaReset });
+    }
+    if (b.tokens < cost) {
+      return state({ ok: false, reason: "rate", retryAfter: Math.ceil((cost - b.tokens) / perSec) });
+    }
+    b.tokens -= cost;
+    d.used += cost;
+    return state({ ok: true });
+  }
+}
+
+module.exports = { RateLimiter };
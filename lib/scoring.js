@@ -0,0 +1,118 @@
+/* =======================
+ * Scoring — chấm điểm xác suất cho backtest (Brier, log loss, reliability) + baseline
+ * ======================= */
+
+// Log loss cần p ∈ (0,1); baseline “cứng” (p=0/1) bị kẹp về eps thay vì ra Infinity
+const LOG_LOSS_EPS = 1e-4;
+
+const outcome = (real) => (real === "T" ? 1 : 0);
+
+/** preds: [{ pT, real: 'T'|'X' }] — trung bình (pT - y)^2, 0 là hoàn hảo, 0.25 là tung đồng xu */
+function brierScore(preds) {
+  if (!preds.length) return null;
+  const s = preds.reduce((a, p) => a + Math.pow(p.pT - outcome(p.real), 2), 0);
+  return s / preds.length;
+}
+
+/** Log loss (nat), ln 2 ≈ 0.693 là mức của dự đoán 0.5 cố định */
+function logLoss(preds, eps = LOG_LOSS_EPS) {
+  if (!preds.length) return null;
+  const s = preds.reduce((a, p) => {
+    const q = Math.max(eps, Math.min(1 - eps, p.pT));
+    return a - (p.real === "T" ? Math.log(q) : Math.log(1 - q));
+  }, 0);
+  return s / preds.length;
+}
+
+function accuracy(preds) {
+  if (!preds.length) return null;
+  const ok = preds.filter((p) => (p.pT >= 0.5 ? "T" : "X") === p.real).length;
+  return ok / preds.length;
+}
+
+/** Bảng reliability: chia pT thành `bins` khoảng đều, so pT trung bình với tần suất Tài thực tế */
+function reliabilityTable(preds, bins = 10) {
+  const table = Array.from({ length: bins }, (_, i) => ({
+    from: i / bins,
+    to: (i + 1) / bins,
+    count: 0,
+    sumP: 0,
+    hitsT: 0
+  }));
+  for (const p of preds) {
+    const idx = Math.min(bins - 1, Math.max(0, Math.floor(p.pT * bins)));
+    table[idx].count++;
+    table[idx].sumP += p.pT;
+    table[idx].hitsT += outcome(p.real);
+  }
+  return table.map((b) => ({
+    from: round(b.from, 2),
+    to: round(b.to, 2),
+    count: b.count,
+    mean_pT: b.count ? round(b.sumP / b.count, 4) : null,
+    observed_T: b.count ? round(b.hitsT / b.count, 4) : null
+  }));
+}
+
+/**
+ * Đường coverage / accuracy: với mỗi ngưỡng t, chỉ dự đoán khi max(pT, 1−pT) ≥ t.
+ * ⇒ [{ threshold, predicted, coverage_percent, accuracy_percent }] — dùng để chọn ngưỡng abstain.
+ */
+function coverageCurve(preds, { from = 0.5, to = 0.8, step = 0.01 } = {}) {
+  const edges = preds.map((p) => ({
+    edge: Math.max(p.pT, 1 - p.pT),
+    ok: (p.pT >= 0.5 ? "T" : "X") === p.real
+  }));
+  const out = [];
+  for (let t = from; t <= to + 1e-9; t += step) {
+    const kept = edges.filter((e) => e.edge >= t - 1e-12);
+    const hits = kept.filter((e) => e.ok).length;
+    out.push({
+      threshold: round(t, 2),
+      predicted: kept.length,
+      coverage_percent: preds.length ? Number(((kept.length / preds.length) * 100).toFixed(1)) : null,
+      accuracy_percent: kept.length ? Number(((hits / kept.length) * 100).toFixed(1)) : null
+    });
+    if (!kept.length) break; // ngưỡng cao hơn cũng rỗng
+  }
+  return out;
+}
+
+function round(x, d = 4) {
+  return x == null ? null : Number(x.toFixed(d));
+}
+
+/** Tóm tắt một chuỗi dự đoán xác suất theo cùng một format */
+function summarize(preds) {
+  const acc = accuracy(preds);
+  return {
+    evaluated: preds.length,
+    accuracy_percent: acc == null ? null : Number((acc * 100).toFixed(1)),
+    brier: round(brierScore(preds)),
+    log_loss: round(logLoss(preds))
+  };
+}
+
+/* =======================
+ * Baselines — luật tầm thường, chấm trên cùng các điểm cắt với ensemble
+ * mỗi baseline nhận tóm tắt tiền tố { n, countT, last } (số phiên, số Tài, kết quả cuối T/X | null)
+ * — đếm dần trong vòng walk-forward nên mỗi điểm cắt O(1) — và trả pT
+ * ======================= */
+const BASELINES = {
+  alwaysTai: () => 1,
+  repeatLast: ({ last }) => (last === "T" ? 1 : 0),
+  alternate: ({ last }) => (last === "T" ? 0 : 1),
+  globalFrequency: ({ n, countT }) => (n ? countT / n : 0.5)
+};
+
+module.exports = {
+  LOG_LOSS_EPS,
+  brierScore,
+  logLoss,
+  accuracy,
+  reliabilityTable,
+  coverageCurve,
+  summarize,
+  round,
+  BASELINES
+};
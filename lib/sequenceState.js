@@ -0,0 +1,160 @@
+/* =======================
+ * SequenceState — trạng thái tăng dần cho walk-forward (mỗi phiên mới cập nhật O(1))
+ * ======================= */
+
+/**
+ * Giữ toàn bộ chuỗi đã quan sát (rows + T/X) và một cửa sổ trượt `window` phiên cuối.
+ * Trên cửa sổ duy trì:
+ *  - n-gram bậc 1..maxOrder: với mỗi ngữ cảnh, số lần phiên kế là T / X (bậc 1 = Markov)
+ *  - các run (chuỗi bệt) và số run có độ dài ≥ 2
+ *  - tổng tích lũy số T và số lần đảo chiều ⇒ đếm trên mọi đoạn con trong O(1)
+ */
+class SequenceState {
+  constructor({ window = 500, maxOrder = 5 } = {}) {
+    this.window = window;
+    this.maxOrder = maxOrder;
+    this.rows = [];
+    this.seq = [];
+    this.cumT = [0]; // cumT[i] = số T trong seq[0..i-1]
+    this.cumFlip = [0]; // cumFlip[i] = số j < i có seq[j] !== seq[j-1]
+    this.start = 0;
+    // khóa ngữ cảnh = (1 << L) | bit (T=1), L ≤ maxOrder ⇒ < 2^(maxOrder+1)
+    this.nextT = new Int32Array(1 << (maxOrder + 1));
+    this.nextX = new Int32Array(1 << (maxOrder + 1));
+    this.runs = []; // [{ side, len }] trong cửa sổ
+    this.runHead = 0; // chỉ số run đầu tiên còn trong cửa sổ
+    this.runsGe2 = 0;
+  }
+
+  /** Số phiên trong cửa sổ */
+  get length() {
+    return this.seq.length - this.start;
+  }
+
+  get end() {
+    return this.seq.length;
+  }
+
+  contextKey(from, len) {
+    let key = 1 << len;
+    for (let i = 0; i < len; i++) if (this.seq[from + i] === "T") key |= 1 << i;
+    return key;
+  }
+
+  countNgram(from, len, next, delta) {
+    const key = this.contextKey(from, len);
+    if (next === "T") this.nextT[key] += delta;
+    else this.nextX[key] += delta;
+  }
+
+  push(row) {
+    const x = row.R;
+    const i = this.seq.length;
+    this.rows.push(row);
+    this.seq.push(x);
+    this.cumT.push(this.cumT[i] + (x === "T" ? 1 : 0));
+    this.cumFlip.push(this.cumFlip[i] + (i > 0 && x !== this.seq[i - 1] ? 1 : 0));
+
+    for (let L = 1; L <= this.maxOrder; L++) {
+      if (i - L < this.start) break;
+      this.countNgram(i - L, L, x, 1);
+    }
+
+    const last = this.runs[this.runs.length - 1];
+    if (this.runs.length > this.runHead && last.side === x) {
+      last.len++;
+      if (last.len === 2) this.runsGe2++;
+    } else {
+      this.runs.push({ side: x, len: 1 });
+    }
+
+    while (this.length > this.window) this.evict();
+  }
+
+  evict() {
+    const s = this.start;
+    for (let L = 1; L <= this.maxOrder; L++) {
+      if (s + L >= this.end) break;
+      this.countNgram(s, L, this.seq[s + L], -1);
+    }
+    const head = this.runs[this.runHead];
+    if (head.len === 2) this.runsGe2--;
+    head.len--;
+    if (head.len === 0) this.runHead++;
+    // dọn mảng run định kỳ để không phình vô hạn
+    if (this.runHead > 1024) {
+      this.runs = this.runs.slice(this.runHead);
+      this.runHead = 0;
+    }
+    this.start++;
+  }
+
+  /** Thu cửa sổ để bắt đầu từ chỉ số tuyệt đối `from` (chỉ tiến, không mở rộng lại) */
+  trimTo(from) {
+    while (this.start < Math.min(from, this.end)) this.evict();
+  }
+
+  /** Phiên thứ i trong cửa sổ (0 = cũ nhất) */
+  at(i) {
+    return this.seq[this.start + i];
+  }
+
+  last() {
+    return this.length ? this.seq[this.end - 1] : undefined;
+  }
+
+  /** k phiên cuối trong cửa sổ */
+  tail(k) {
+    return this.seq.slice(Math.max(this.start, this.end - k), this.end);
+  }
+
+  /** Mảng T/X của cửa sổ (tạo mới — chỉ dùng khi cần mảng thật) */
+  windowSeq() {
+    return this.seq.slice(this.start);
+  }
+
+  windowRows() {
+    return this.rows.slice(this.start);
+  }
+
+  /** Số lần phiên kế là T / X sau ngữ cảnh ctx (chuỗi 'T'/'X', độ dài 1..maxOrder) */
+  nextCounts(ctx) {
+    const L = ctx.length;
+    if (L < 1 || L > this.maxOrder) return { T: 0, X: 0 };
+    let key = 1 << L;
+    for (let i = 0; i < L; i++) if (ctx[i] === "T") key |= 1 << i;
+    return { T: this.nextT[key], X: this.nextX[key] };
+  }
+
+  /** Số T trong w phiên cuối của cửa sổ */
+  countTLast(w) {
+    const from = Math.max(this.start, this.end - w);
+    return this.cumT[this.end] - this.cumT[from];
+  }
+
+  /** Số lần đảo chiều giữa các cặp (j-1, j) với j ∈ [from, to) tuyệt đối, chỉ tính trong cửa sổ */
+  flipsBetween(from, to) {
+    const a = Math.max(from, this.start + 1);
+    return to > a ? this.cumFlip[to] - this.cumFlip[a] : 0;
+  }
+
+  /** Số lần đảo chiều trong `pairs` cặp liền kề cuối cùng */
+  flipsLast(pairs) {
+    return this.flipsBetween(this.end - pairs, this.end);
+  }
+
+  /** Độ dài & hướng chuỗi bệt hiện tại */
+  streak() {
+    if (this.runs.length <= this.runHead) return { side: undefined, len: 0 };
+    const r = this.runs[this.runs.length - 1];
+    return { side: r.side, len: r.len };
+  }
+
+  /** Số run độ dài ≥ 2 đã kết thúc (có phiên theo sau) trong cửa sổ */
+  completedRunsGe2() {
+    const cur = this.streak();
+    return this.runsGe2 - (cur.len >= 2 ? 1 : 0);
+  }
+}
+
+module.exports = { SequenceState };
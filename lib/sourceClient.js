@@ -0,0 +1,186 @@
+const fs = require("fs");
+const axios = require("axios");
+const { detectFormat, parsePayload } = require("./ingest");
+
+/* =======================
+ * SourceClient — lớp fetch dùng chung cho upstream:
+ * cache TTL ngắn, gộp request đang bay, retry + backoff, circuit breaker theo URL,
+ * danh sách URL dự phòng, và trả snapshot tốt gần nhất (stale) khi mọi nguồn lỗi.
+ * ======================= */
+
+// http(s):// ⇒ gọi mạng; file:// hoặc đường dẫn trần ⇒ đọc file cục bộ
+const isRemote = (url) => /^https?:\/\//i.test(url);
+const localPath = (url) => url.replace(/^file:\/\//i, "");
+
+/** CircuitBreaker — mở sau `failureThreshold` lỗi liên tiếp, thử lại (half-open) sau `cooldownMs` */
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  get state() {
+    if (this.openedAt == null) return "closed";
+    return Date.now() - this.openedAt >= this.cooldownMs ? "half-open" : "open";
+  }
+
+  canRequest() {
+    return this.state !== "open";
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  failure() {
+    this.failures++;
+    // half-open thử hỏng ⇒ mở lại ngay
+    if (this.failures >= this.failureThreshold || this.openedAt != null) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// lỗi mạng / timeout / 5xx / 429 mới đáng retry; 4xx khác, sai format hay thiếu file thì chuyển nguồn luôn
+function isRetryable(e) {
+  if (e.retryable === false || e.code === "ENOENT") return false;
+  const status = e.response?.status;
+  if (status == null) return true;
+  return status >= 500 || status === 429;
+}
+
+/**
+ * SourceClient — sources: [{ url, name?, format?: json|ndjson|csv, root?, mapping? }]
+ * (mapping không dùng ở đây; được trả kèm `source` để phía gọi normalize theo đúng nguồn)
+ */
+class SourceClient {
+  constructor({
+    sources,
+    timeoutMs = 15000,
+    ttlMs = 5000,
+    retries = 2,
+    backoffMs = 500,
+    breaker = {},
+    http = axios
+  }) {
+    if (!sources || !sources.length) throw new Error("SourceClient cần ít nhất một nguồn.");
+    this.sources = sources.map((src) => ({
+      ...src,
+      name: src.name ?? src.url,
+      format: src.format ?? detectFormat(src.url)
+    }));
+    this.timeoutMs = timeoutMs;
+    this.ttlMs = ttlMs;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.http = http;
+    this.breakers = new Map(this.sources.map((src) => [src.url, new CircuitBreaker(breaker)]));
+    this.cache = null; // { data, url, source, fetchedAt }
+    this.lastGood = null;
+    this.inFlight = null;
+    this.lastError = null;
+    this.stale = false;
+  }
+
+  /** { data, url, source, fetchedAt, stale, fromCache } — ném lỗi chỉ khi chưa từng có snapshot tốt */
+  fetch() {
+    if (this.cache && Date.now() - this.cache.fetchedAt < this.ttlMs) {
+      return Promise.resolve({ ...this.cache, stale: false, fromCache: true });
+    }
+    if (!this.inFlight) {
+      this.inFlight = this.fetchFresh().finally(() => {
+        this.inFlight = null;
+      });
+    }
+    return this.inFlight;
+  }
+
+  async fetchFresh() {
+    const errors = [];
+    for (const source of this.sources) {
+      const { url } = source;
+      const breaker = this.breakers.get(url);
+      if (!breaker.canRequest()) {
+        errors.push(`${url}: circuit open`);
+        continue;
+      }
+      try {
+        const data = await this.fetchWithRetry(source);
+        breaker.success();
+        this.cache = { data, url, source, fetchedAt: Date.now() };
+        this.lastGood = this.cache;
+        this.lastError = null;
+        this.stale = false;
+        return { ...this.cache, stale: false, fromCache: false };
+      } catch (e) {
+        breaker.failure();
+        errors.push(`${url}: ${e.message}`);
+      }
+    }
+
+    this.lastError = errors.join("; ");
+    if (this.lastGood) {
+      this.stale = true;
+      return { ...this.lastGood, stale: true, fromCache: true, error: this.lastError };
+    }
+    throw new Error(`Không lấy được dữ liệu nguồn (${this.lastError})`);
+  }
+
+  async load(source) {
+    if (!isRemote(source.url)) {
+      return fs.promises.readFile(localPath(source.url), "utf8");
+    }
+    // csv / ndjson cần text thô; json để axios tự parse
+    const res = await this.http.get(source.url, {
+      timeout: this.timeoutMs,
+      ...(source.format === "json" ? {} : { responseType: "text" })
+    });
+    return res.data;
+  }
+
+  async fetchWithRetry(source) {
+    let lastErr;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        const jitter = Math.random() * this.backoffMs;
+        await sleep(this.backoffMs * Math.pow(2, attempt - 1) + jitter);
+      }
+      try {
+        const body = await this.load(source);
+        try {
+          return parsePayload(body, source);
+        } catch (e) {
+          e.retryable = false; // nội dung sai định dạng — thử lại cũng vậy
+          throw e;
+        }
+      } catch (e) {
+        lastErr = e;
+        if (!isRetryable(e)) break;
+      }
+    }
+    throw lastErr;
+  }
+
+  status() {
+    return {
+      stale: this.stale,
+      lastSuccessAt: this.lastGood ? new Date(this.lastGood.fetchedAt).toISOString() : null,
+      lastSuccessUrl: this.lastGood?.url ?? null,
+      lastError: this.lastError,
+      sources: this.sources.map((src) => ({
+        name: src.name,
+        url: src.url,
+        format: src.format,
+        circuit: this.breakers.get(src.url).state,
+        failures: this.breakers.get(src.url).failures
+      }))
+    };
+  }
+}
+
+module.exports = { SourceClient, CircuitBreaker };
@@ -0,0 +1,58 @@
+/** DeepSequencePredictor — n-gram tới 5, Markov 1-bước */
+class DeepSequencePredictor {
+  constructor() {
+    this.memoryCells = [];
+    this.contextSize = 5;
+  }
+  async train(data, lr) {
+    this.memoryCells = this.memoryCells.slice(-20).concat([Date.now()]);
+    return { updatedMemory: this.memoryCells };
+  }
+  // n-gram & Markov đọc từ bảng đếm tăng dần của SequenceState (không quét lại chuỗi)
+  async analyze({ state }) {
+    const n = state.length;
+    const ctxLen = Math.min(this.contextSize, Math.max(2, Math.floor(n / 80)));
+    const ctx = state.tail(ctxLen).join("");
+    const { T: hitsT, X: hitsX } = state.nextCounts(ctx);
+    const total = hitsT + hitsX;
+    const pT = total > 0 ? hitsT / total : 0.5;
+
+    // thêm Markov 1-bước
+    const { T: TT, X: TX } = state.nextCounts("T");
+    const { T: XT, X: XX } = state.nextCounts("X");
+    const last = state.last();
+    const pT_after_T = TT + TX > 0 ? TT / (TT + TX) : 0.5;
+    const pT_after_X = XT + XX > 0 ? XT / (XT + XX) : 0.5;
+
+    const pMarkov = last === "T" ? pT_after_T : pT_after_X;
+
+    const pBlend = 0.6 * pT + 0.4 * pMarkov;
+    // độ phủ: Markov cần ~120 phiên, n-gram ~200 phiên
+    const coverage =
+      (0.35 * Math.min(1, n / 120) + 0.25 * Math.min(1, n / 200)) / 0.6;
+    return {
+      pT: pBlend,
+      coverage,
+      context: ctx,
+      ngramStats: { hitsT, hitsX, total },
+      markov: { pT_after_T, pT_after_X },
+      modelType: "deepSequence"
+    };
+  }
+}
+
+module.exports = {
+  key: "deepSequenceModel",
+  label: "Deep-sequence",
+  order: 10,
+  weight: 0.252,
+  create: () => new DeepSequencePredictor(),
+  features: (ds) => ({
+    context: ds.context ?? null,
+    hitsT: ds.ngramStats?.hitsT ?? 0,
+    hitsX: ds.ngramStats?.hitsX ?? 0,
+    pT_after_T: ds.markov?.pT_after_T ?? null,
+    pT_after_X: ds.markov?.pT_after_X ?? null
+  }),
+  DeepSequencePredictor
+};
@@ -0,0 +1,99 @@
+const { parseDice, THREE_DICE_TOTALS } = require("../lib/dice");
+
+/**
+ * DiceTotalModel — dùng tổng & từng mặt xúc xắc thay vì chỉ chuỗi T/X:
+ *  - phân phối tổng (Dirichlet, prior = phân phối chính xác 3d6) ⇒ P(tổng ≥ 11)
+ *  - tần suất từng mặt (Dirichlet đều) ⇒ P(tổng ≥ 11) qua tích chập 3 mặt
+ *  - theo dõi bộ ba (bão) so với kỳ vọng 1/36
+ */
+class DiceTotalModel {
+  constructor() {
+    this.window = 200;
+    this.totalsPrior = 50; // độ mạnh prior, tính theo "số phiên ảo"
+    this.facePrior = 30; // mỗi mặt
+    this.totals = {};
+    this.faces = [0, 0, 0, 0, 0, 0];
+    this.nTotals = 0;
+    this.nDice = 0;
+    this.triples = 0;
+    this.triplesHigh = 0;
+    this.from = 0; // chỉ số (trong state.rows) của phiên cũ nhất đang được đếm
+  }
+  async train() { return {}; }
+  tally(r, delta) {
+    if (Number.isInteger(r.total) && r.total >= 3 && r.total <= 18) {
+      this.totals[r.total] = (this.totals[r.total] || 0) + delta;
+      this.nTotals += delta;
+    }
+    const d = parseDice(r.dice);
+    if (d && d.every((f) => f >= 1 && f <= 6)) {
+      d.forEach((f) => (this.faces[f - 1] += delta));
+      this.nDice += delta;
+      if (d[0] === d[1] && d[1] === d[2]) {
+        this.triples += delta;
+        if (d[0] >= 4) this.triplesHigh += delta;
+      }
+    }
+  }
+  // bộ đếm cửa sổ riêng (≤ cửa sổ của predictor, không vượt đầu cửa sổ khi bị thu theo regime)
+  observe(row, state) {
+    this.tally(row, 1);
+    const size = Math.min(this.window, state.window);
+    while (state.end - this.from > size || this.from < state.start) {
+      this.tally(state.rows[this.from++], -1);
+    }
+  }
+  pTFromFaces(faceP) {
+    let pT = 0;
+    for (let a = 1; a <= 6; a++)
+      for (let b = 1; b <= 6; b++)
+        for (let c = 1; c <= 6; c++)
+          if (a + b + c >= 11) pT += faceP[a - 1] * faceP[b - 1] * faceP[c - 1];
+    return pT;
+  }
+  async analyze() {
+    const { totals, faces, nTotals, nDice, triples, triplesHigh } = this;
+
+    // tổng: hậu nghiệm Dirichlet, P(T) = Σ_{t≥11}
+    let pTotals = 0;
+    for (let t = 11; t <= 18; t++) {
+      pTotals += ((totals[t] || 0) + this.totalsPrior * THREE_DICE_TOTALS[t]) /
+        (nTotals + this.totalsPrior);
+    }
+
+    // mặt: ước lượng xác suất từng mặt rồi tích chập
+    const faceP = faces.map((c) => (c + this.facePrior) / (nDice * 3 + 6 * this.facePrior));
+    const pFaces = this.pTFromFaces(faceP);
+
+    // bộ ba: ngoài bộ ba, 3d6 cân đối cho P(T) = 105/210 = 0.5;
+    // bộ ba 4-4-4..6-6-6 là Tài, 1-1-1..3-3-3 là Xỉu ⇒ lệch theo tỷ lệ & hướng bộ ba
+    const q = (triples + 1) / (nDice + 36); // làm mượt về 1/36
+    const highShare = (triplesHigh + 1) / (triples + 2);
+    const pTriple = 0.5 * (1 - q) + q * highShare;
+
+    const pT = 0.5 * pTotals + 0.3 * pFaces + 0.2 * pTriple;
+    return {
+      pT,
+      components: { pTotals, pFaces, pTriple },
+      triples: { count: triples, high: triplesHigh, of: nDice, expectedRate: 1 / 36 },
+      coverage: Math.min(1, nTotals / this.window),
+      modelType: "diceTotal"
+    };
+  }
+}
+
+module.exports = {
+  key: "diceTotalModel",
+  label: "Dice-total",
+  order: 60,
+  weight: 0.1,
+  create: () => new DiceTotalModel(),
+  features: (dt) => ({
+    pT_totals: dt.components?.pTotals ?? null,
+    pT_faces: dt.components?.pFaces ?? null,
+    pT_triples: dt.components?.pTriple ?? null,
+    triples: dt.triples?.count ?? null,
+    dice_seen: dt.triples?.of ?? null
+  }),
+  DiceTotalModel
+};
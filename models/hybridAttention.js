@@ -0,0 +1,58 @@
+/** HybridAttentionPredictor — attention thời gian + attention đặc trưng */
+class HybridAttentionPredictor {
+  async train() {
+    return {};
+  }
+  extractFeatures(state) {
+    const n = state.length;
+    // streak
+    const { len } = state.streak();
+    // alternation
+    const W = Math.min(40, n - 1);
+    const flip = state.flipsLast(W);
+    const altRatio = W > 0 ? flip / W : 0.5;
+    // distribution
+    const win = Math.min(80, n);
+    const tCnt = state.countTLast(win);
+    const ratioT = win > 0 ? tCnt / win : 0.5;
+    return { streakLen: len, streakDir: state.last(), altRatio, ratioT, win };
+  }
+  async analyze({ state }) {
+    const n = state.length;
+    const f = this.extractFeatures(state);
+    // attention thời gian: trọng số cao hơn cho gần đây
+    // p(T) từ đặc trưng:
+    let pT = 0.5;
+    // streak: nếu đang Tài dài → nghiêng T; nếu Xỉu dài → nghiêng X
+    if (f.streakDir === "T") pT += Math.min(0.2, f.streakLen * 0.02);
+    else pT -= Math.min(0.2, f.streakLen * 0.02);
+
+    // alternation cao → dễ đảo chiều so với phiên cuối
+    if (f.altRatio > 0.55) pT += f.streakDir === "T" ? -0.08 : 0.08;
+    else if (f.altRatio < 0.45) pT += f.streakDir === "T" ? 0.05 : -0.05;
+
+    // distribution: lệch > 55% thì thiên hướng hồi quy nhẹ
+    if (f.ratioT > 0.55) pT -= 0.06 * (f.ratioT - 0.55) * 10;
+    if (f.ratioT < 0.45) pT += 0.06 * (0.45 - f.ratioT) * 10;
+
+    pT = Math.max(0.05, Math.min(0.95, pT));
+
+    const coverage = (Math.min(1, n / 60) + Math.min(1, n / 80)) / 2;
+    return { pT, features: f, coverage, modelType: "hybridAttention" };
+  }
+}
+
+module.exports = {
+  key: "hybridAttentionModel",
+  label: "Hybrid-attention",
+  order: 20,
+  weight: 0.225,
+  create: () => new HybridAttentionPredictor(),
+  features: (ha) => ({
+    streakLen: ha.features?.streakLen ?? null,
+    streakDir: ha.features?.streakDir ?? null,
+    altRatio: ha.features?.altRatio ?? null,
+    ratioT: ha.features?.ratioT ?? null
+  }),
+  HybridAttentionPredictor
+};
@@ -0,0 +1,42 @@
+/** AdvancedProbabilisticModel — Naive-Bayes nhẹ với feature discretes */
+class AdvancedProbabilisticModel {
+  async train() { return {}; }
+  async analyze({ state }) {
+    const n = state.length;
+    const last = state.last();
+    // features: lastSide, streakLen≥3, altHigh
+    const streak = state.streak().len;
+    const flip = state.flipsLast(Math.min(n, 40) - 1);
+    const altHigh = (flip / Math.min(39, n - 1)) > 0.55;
+
+    // Likelihoods (heuristic)
+    let logOdds = 0; // log(P(T)/P(X))
+    if (last === "T") logOdds += Math.log(1.05);
+    else logOdds -= Math.log(1.05);
+    if (streak >= 3) logOdds += last === "T" ? Math.log(1.08) : -Math.log(1.08);
+    if (altHigh) logOdds += last === "T" ? -Math.log(1.12) : Math.log(1.12);
+
+    const odds = Math.exp(logOdds);
+    const pT = odds / (1 + odds);
+    return {
+      pT,
+      features: { last, streak, altHigh },
+      coverage: Math.min(1, n / 60),
+      modelType: "probGraph"
+    };
+  }
+}
+
+module.exports = {
+  key: "probabilisticGraphicalModel",
+  label: "Prob-graph",
+  order: 50,
+  weight: 0.09,
+  create: () => new AdvancedProbabilisticModel(),
+  features: (pg) => ({
+    last: pg.features?.last ?? null,
+    streak: pg.features?.streak ?? null,
+    altHigh: pg.features?.altHigh ?? null
+  }),
+  AdvancedProbabilisticModel
+};
@@ -0,0 +1,55 @@
+/** QuantumInspiredNetwork — giao thoa giữa Momentum & Mean-reversion */
+class QuantumInspiredNetwork {
+  async train() {
+    return {};
+  }
+  async analyze({ state }) {
+    const n = state.length;
+    // momentum prob ~ xác suất giữ chiều sau streak ≥ 2
+    let mom = 0.5;
+    if (n >= 10) {
+      // run được tách tối đa nên phiên ngay sau luôn đảo chiều ⇒ keep = 0;
+      // tot = số run ≥ 2 đã kết thúc, SequenceState đếm sẵn
+      const keep = 0;
+      const tot = state.completedRunsGe2();
+      mom = tot > 0 ? keep / tot : 0.5;
+    }
+    // mean-reversion prob ~ xác suất đảo chiều sau chuỗi ≥ 2
+    const mr = 1 - mom;
+
+    // pha giao thoa theo alternation gần đây
+    const alt = n > 1 ? state.flipsLast(n - 1) / (n - 1) : 0.5; // ~ tỷ lệ flip
+
+    const phi = (alt - 0.5) * Math.PI; // -π/2..π/2
+    const pBlend = Math.max(
+      0.05,
+      Math.min(0.95, mom + mr + 2 * Math.sqrt(mom * mr) * Math.cos(phi) - 0.5)
+    );
+    // map về 0..1
+    const pT =
+      state.last() === "T"
+        ? pBlend
+        : 1 - pBlend;
+
+    return {
+      pT,
+      components: { mom, mr, phi },
+      coverage: Math.min(1, n / 60),
+      modelType: "quantumInspired"
+    };
+  }
+}
+
+module.exports = {
+  key: "quantumInspiredNetwork",
+  label: "Quantum-inspired",
+  order: 30,
+  weight: 0.198,
+  create: () => new QuantumInspiredNetwork(),
+  features: (qi) => ({
+    momentum: qi.components?.mom ?? null,
+    meanReversion: qi.components?.mr ?? null,
+    phi: qi.components?.phi ?? null
+  }),
+  QuantumInspiredNetwork
+};
@@ -0,0 +1,36 @@
+/** TemporalFusionPredictor — gộp nhiều cửa sổ thời gian */
+class TemporalFusionPredictor {
+  async train() { return {}; }
+  probFromWindow(state, w) {
+    if (state.length < w + 1) return 0.5;
+    // đơn giản: nếu gần đây T nhiều hơn → pT tăng nhẹ
+    const tCnt = state.countTLast(w);
+    return 0.5 + (tCnt / w - 0.5) * 0.5; // giảm biên
+  }
+  async analyze({ state }) {
+    const p8 = this.probFromWindow(state, 8);
+    const p20 = this.probFromWindow(state, 20);
+    const p60 = this.probFromWindow(state, 60);
+    const pT = 0.45 * p8 + 0.35 * p20 + 0.20 * p60;
+    return {
+      pT,
+      windows: { p8, p20, p60 },
+      coverage: Math.min(1, state.length / 80),
+      modelType: "temporalFusion"
+    };
+  }
+}
+
+module.exports = {
+  key: "temporalFusionModel",
+  label: "Temporal-fusion",
+  order: 40,
+  weight: 0.135,
+  create: () => new TemporalFusionPredictor(),
+  features: (tf) => ({
+    p8: tf.windows?.p8 ?? null,
+    p20: tf.windows?.p20 ?? null,
+    p60: tf.windows?.p60 ?? null
+  }),
+  TemporalFusionPredictor
+};
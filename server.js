@@ -1,747 +1,992 @@
 require("dotenv").config();
 const express = require("express");
+const swaggerUi = require("swagger-ui-dist");
 const axios = require("axios");
 const cors = require("cors");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { HistoryStore, HistoryPoller, sliceSessions, dataHash } = require("./lib/historyStore");
+const { PredictionLedger } = require("./lib/predictionLedger");
+const scoring = require("./lib/scoring");
+const { analyzeRandomness } = require("./lib/randomness");
+const { ModelRegistry, parseKeyList } = require("./lib/modelRegistry");
+const { AdvancedTaiXiuPredictor, PerformanceMetricsEngine } = require("./lib/predictor");
+const {
+  walkForward,
+  calibrationPoints,
+  backtestRuns,
+  backtestSteps,
+  runBacktest,
+  exportBacktestRows
+} = require("./lib/backtest");
+const { riskFromConfidence, txLabel, percent } = require("./lib/format");
+const i18n = require("./lib/i18n");
+const { LiveHub } = require("./lib/liveHub");
+const { SourceClient } = require("./lib/sourceClient");
+const { createNormalizer, validateRow, isModelInput } = require("./lib/normalize");
+const { summarizeQuality } = require("./lib/quality");
+const { detectRegimes } = require("./lib/changePoint");
+const { HedgeWeights } = require("./lib/onlineWeights");
+const { Calibrator, rawConfidence } = require("./lib/calibration");
+const { FORMATS, ingestBatch } = require("./lib/ingest");
+const { JobManager } = require("./lib/jobs");
+const { ConfigStore, CONFIG_FIELDS, validatePredictorConfig } = require("./lib/configStore");
+const { createAdminAuth, parseApiKeys } = require("./lib/adminAuth");
+const { ApiKeyStore } = require("./lib/apiKeys");
+const { RateLimiter } = require("./lib/rateLimit");
+const { buildOpenApi, listOperations } = require("./lib/openapi");
+const { createQueryValidator } = require("./lib/queryValidator");
+const { RowExporter } = require("./lib/export");
+const pkg = require("./package.json");
 
 const PORT = process.env.PORT || 3000;
 const SOURCE_URL =
   process.env.SOURCE_URL || "https://fullsrc-daynesun.onrender.com/api/taixiu/history";
+// SOURCE_URLS: danh sách nguồn theo thứ tự ưu tiên (dự phòng), mặc định chỉ SOURCE_URL
+const SOURCE_URLS = parseKeyList(process.env.SOURCE_URLS).length
+  ? parseKeyList(process.env.SOURCE_URLS)
+  : [SOURCE_URL];
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(DATA_DIR, "history.ndjson");
+const LEDGER_FILE = process.env.LEDGER_FILE || path.join(DATA_DIR, "ledger.ndjson");
+// Job backtest nền: kết quả lưu ở JOBS_DIR, tối đa JOBS_CONCURRENCY worker cùng lúc
+const JOBS_DIR = process.env.JOBS_DIR || path.join(DATA_DIR, "jobs");
+const JOBS_CONCURRENCY = Number(process.env.JOBS_CONCURRENCY) || 1;
+// số phiên tối đa cho một job; số job chờ tối đa (rows của job chờ nằm trong bộ nhớ)
+const JOBS_MAX_LIMIT = Number(process.env.JOBS_MAX_LIMIT) || 100000;
+const JOBS_MAX_QUEUED = Number(process.env.JOBS_MAX_QUEUED ?? 10);
+// tạo job cần API key client; JOBS_ANONYMOUS=1 ⇒ cho phép cả request không key
+const JOBS_ANONYMOUS = process.env.JOBS_ANONYMOUS === "1";
+// GET /backtest chạy trên main thread: giới hạn số phiên và tổng số điểm cắt (lượt chính + permutation
+// + ablation); vượt ⇒ 413, dùng job nền
+const BACKTEST_SYNC_MAX_LIMIT = Number(process.env.BACKTEST_SYNC_MAX_LIMIT) || 2000;
+const BACKTEST_SYNC_MAX_STEPS = Number(process.env.BACKTEST_SYNC_MAX_STEPS) || 10000;
+const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS) || 30000;
+const MODELS_DIR = process.env.MODELS_DIR || path.join(__dirname, "models");
+// SOURCES_CONFIG: file JSON khai báo nguồn + mapping (xem sources.example.json); ghi đè SOURCE_URLS
+const SOURCES_CONFIG = process.env.SOURCES_CONFIG || "";
+// REGIME_ONLY=1: predictor chỉ học trên regime hiện tại (sau điểm đổi gần nhất, tối thiểu 100 phiên)
+const REGIME_ONLY = process.env.REGIME_ONLY === "1";
+// Bỏ qua (abstain): không đưa du_doan khi max(pT, 1−pT) < ngưỡng; query ?abstain=&threshold= ghi đè
+const ABSTAIN = process.env.ABSTAIN === "1";
+const PREDICTION_THRESHOLD = Number(process.env.PREDICTION_THRESHOLD) || 0.72;
+// Admin API: bearer token và/hoặc API key ("tên:key,..."); để trống cả hai ⇒ admin API tắt
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const ADMIN_API_KEYS = process.env.ADMIN_API_KEYS || "";
+// Config runtime có phiên bản + audit log của các thao tác admin (NDJSON)
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(DATA_DIR, "config.ndjson");
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(DATA_DIR, "audit.ndjson");
+// API key client cho route công khai: cấp/thu hồi qua admin API; thiếu key ⇒ giới hạn ẩn danh theo ip
+// (API_KEYS_REQUIRED=1 ⇒ bắt buộc key). Đơn vị: "chi phí" route (xem ROUTE_COSTS) mỗi phút / mỗi ngày UTC
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(DATA_DIR, "api-keys.ndjson");
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED === "1";
+const KEY_LIMITS = {
+  ratePerMinute: Number(process.env.KEY_RATE_PER_MIN) || 120,
+  dailyQuota: Number(process.env.KEY_DAILY_QUOTA) || 20000
+};
+const ANON_LIMITS = {
+  ratePerMinute: Number(process.env.ANON_RATE_PER_MIN) || 30,
+  dailyQuota: Number(process.env.ANON_DAILY_QUOTA) || 2000
+};
+// Sau reverse proxy: req.ip lấy từ X-Forwarded-For (giá trị "trust proxy" của Express: 1 = một proxy,
+// "loopback", danh sách ip/subnet, true = tin mọi hop); bỏ trống ⇒ không tin, ip là địa chỉ kết nối
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+// Hedge: tốc độ học η và tỷ lệ "fixed share" kéo về prior
+const WEIGHT_LEARNER_OPTS = {
+  eta: Number(process.env.WEIGHTS_ETA) || 0.1,
+  share: Number(process.env.WEIGHTS_SHARE ?? 0.01)
+};
+// Hiệu chuẩn độ tin cậy: fit trên walk-forward CALIBRATION_WINDOW phiên gần nhất, fit lại mỗi REFIT_EVERY phiên mới
+const CALIBRATION_METHOD = process.env.CALIBRATION_METHOD || "isotonic";
+const CALIBRATION_MIN_SAMPLES = Number(process.env.CALIBRATION_MIN_SAMPLES) || 300;
+const CALIBRATION_WINDOW = Number(process.env.CALIBRATION_WINDOW) || 3000;
+const CALIBRATION_REFIT_EVERY = Number(process.env.CALIBRATION_REFIT_EVERY) || 200;
+const CALIBRATION_OPTIONS = { method: CALIBRATION_METHOD, minSamples: CALIBRATION_MIN_SAMPLES };
+
+// Job backtest: chạy runBacktest trong worker thread, không chặn các request khác
+const backtestJobs = new JobManager({
+  dir: JOBS_DIR,
+  workerFile: path.join(__dirname, "lib", "backtestWorker.js"),
+  concurrency: JOBS_CONCURRENCY,
+  maxQueued: JOBS_MAX_QUEUED,
+  summarize: (r) => ({
+    evaluated: r.evaluated,
+    accuracy_percent: r.accuracy_percent,
+    brier: r.brier,
+    log_loss: r.log_loss
+  })
+});
 
 const app = express();
+app.set("trust proxy", TRUST_PROXY);
 app.use(cors());
 app.use(express.json());
 
 /* =======================
- * Utils & Normalizers
+ * Sub-models — nạp từ models/ qua registry (bật/tắt bằng MODELS_ENABLED / MODELS_DISABLED)
  * ======================= */
-function txFromResultOrTotal(result, total) {
-  if (result != null) {
-    const s = String(result).trim().toLowerCase();
-    if (["t", "tai", "tài"].includes(s)) return "T";
-    if (["x", "xiu", "xỉu"].includes(s)) return "X";
-    const n = parseInt(s, 10);
-    if (!Number.isNaN(n)) return n >= 11 ? "T" : "X";
-  }
-  if (typeof total === "number" && Number.isFinite(total)) {
-    return total >= 11 ? "T" : "X";
-  }
-  return null;
-}
-
-function normalizeRow(row) {
-  const session = Number(
-    row.session ?? row.phien ?? row.sid ?? row.SID ?? row.Phien ?? null
-  );
-
-  let dice =
-    row.dice ??
-    row.xuc_xac ??
-    row.Xuc_xac ??
-    (row.Xuc_xac_1 && row.Xuc_xac_2 && row.Xuc_xac_3
-      ? `${row.Xuc_xac_1}-${row.Xuc_xac_2}-${row.Xuc_xac_3}`
-      : null);
-
-  if (Array.isArray(dice)) dice = dice.join("-");
-  if (typeof dice === "string") dice = dice.replace(/[,\s]+/g, "-");
-
-  const total = Number(
-    row.total ?? row.tong ?? row.Tong ?? row.sum ?? row.Sum ?? null
-  );
-
-  const resultRaw =
-    row.result ?? row.ket_qua ?? row.Ket_qua ?? row.result_text ?? null;
-
-  const R = txFromResultOrTotal(resultRaw, total);
-
-  return {
-    session: Number.isFinite(session) ? session : null,
-    dice: dice ?? null,
-    total: Number.isFinite(total) ? total : null,
-    R, // 'T' | 'X' | null
-    rawResult: resultRaw ?? null
-  };
-}
-
-function riskFromConfidence(c) {
-  if (c >= 0.75) return "thấp";
-  if (c >= 0.6) return "trung bình";
-  return "cao";
-}
-
-function txLabel(t) {
-  return t === "T" ? "Tài" : "Xỉu";
-}
+const MODEL_SELECTION = {
+  enabled: parseKeyList(process.env.MODELS_ENABLED),
+  disabled: parseKeyList(process.env.MODELS_DISABLED)
+};
+const modelRegistry = new ModelRegistry();
+modelRegistry.loadDirectory(MODELS_DIR);
+modelRegistry.configure(MODEL_SELECTION);
 
 /* =======================
- * “Engines” mô phỏng theo spec
+ * Runtime config — chỉnh qua admin API (lib/configStore.js), mỗi thay đổi là một phiên bản mới
  * ======================= */
+const configStore = new ConfigStore({
+  file: CONFIG_FILE,
+  auditFile: AUDIT_FILE,
+  defaults: {
+    dataWindow: 500,
+    predictionThreshold: PREDICTION_THRESHOLD,
+    adaptiveLearningRate: 0.01,
+    ensembleWeights: null
+  },
+  validate: (cfg) => validatePredictorConfig(cfg, { modelKeys: modelRegistry.keys() })
+});
 
-/** AnomalyDetectionEngine — đơn giản: phát hiện outlier tổng & lặp bất thường */
-class AnomalyDetectionEngine {
-  analyze(newBatch, historical) {
-    const details = [];
-    let count = 0;
-
-    // Tính trung bình & độ lệch chuẩn trên lịch sử (map T=1, X=0 để làm minh họa)
-    const encode = (x) => (x === "T" ? 1 : 0);
-    const histEnc = historical.map(encode);
-    const mean =
-      histEnc.reduce((a, b) => a + b, 0) / Math.max(histEnc.length, 1);
-    const sd = Math.sqrt(
-      histEnc.reduce((a, b) => a + Math.pow(b - mean, 2), 0) /
-        Math.max(histEnc.length, 1)
-    );
-
-    newBatch.forEach((x, i) => {
-      const v = encode(x);
-      const z = sd > 0 ? Math.abs((v - mean) / sd) : 0;
-      if (z > 2.5) {
-        count++;
-        details.push({ idx: i, value: x, z });
-      }
-    });
+const adminAuth = createAdminAuth({ token: ADMIN_TOKEN, apiKeys: parseApiKeys(ADMIN_API_KEYS) });
 
-    return { count, details };
-  }
+/* =======================
+ * Rate limit & hạn mức — theo API key client (hoặc ip khi không có key)
+ * ======================= */
+const apiKeys = new ApiKeyStore({ file: API_KEYS_FILE });
+apiKeys.load();
+const rateLimiter = new RateLimiter();
+
+/** TRUST_PROXY ⇒ giá trị "trust proxy" của Express (ip ẩn danh dùng làm chủ thể rate limit) */
+function parseTrustProxy(v) {
+  const s = String(v ?? "").trim();
+  if (!s || s === "false" || s === "0") return false;
+  if (s === "true") return true;
+  if (/^\d+$/.test(s)) return Number(s); // số hop proxy
+  return s; // "loopback", "10.0.0.0/8, 127.0.0.1"…
 }
 
-/** RealTimePatternEngine — tìm các motif gần cuối và thống kê next-step */
-class RealTimePatternEngine {
-  extract(batch, historical) {
-    const ctxLen = Math.min(5, Math.max(2, Math.floor(historical.length / 50)));
-    const ctx = [...historical.slice(-ctxLen), ...batch].slice(-ctxLen);
-    if (ctx.length < 2) return { context: ctx, stats: null };
-
-    const hist = historical.join("");
-    const key = ctx.join("");
-    let hitsT = 0,
-      hitsX = 0;
-    for (let i = 0; i + ctx.length < hist.length; i++) {
-      if (hist.slice(i, i + ctx.length) === key) {
-        const nxt = hist[i + ctx.length];
-        if (nxt === "T") hitsT++;
-        if (nxt === "X") hitsX++;
-      }
-    }
-    const total = hitsT + hitsX;
-    const pT = total > 0 ? hitsT / total : 0.5;
-    return { context: ctx, stats: { hitsT, hitsX, total, pT } };
-  }
+// chi phí mỗi request theo độ nặng của route (path dưới /api/taixiu); mặc định 1
+const ROUTE_COSTS = {
+  "/calibration": 2,
+  "/predict": 2,
+  "/regimes": 5,
+  "/randomness": 5
+};
+// route chạy walk-forward: chi phí theo số phiên (limit) — mỗi 100 phiên, nhân số lượt walk-forward
+// (/backtest JSON & job: lượt chính + permutations + ablation; ?format=csv|ndjson: chỉ lượt chính)
+const PER_100_SESSIONS = { "/predict/stream": 2, "/backtest": 10 };
+
+// /predict?asOf=: fit lại hiệu chuẩn trên dữ liệu tới asOf (walk-forward tới CALIBRATION_WINDOW phiên,
+// cache theo asOf); 10 ⇒ client ẩn danh (30/phút) vẫn audit được vài phiên mỗi phút
+const AS_OF_COST = 10;
+
+/**
+ * Chi phí một backtest theo tham số đã kẹp như backtestOptions: 10 × ⌈limit/100⌉ × số lượt walk-forward.
+ * Dùng cho /backtest (query) và POST /backtest/jobs (query + body JSON — body không qua validator query).
+ */
+function backtestCost(input, { maxLimit, mainOnly = false }) {
+  const limit = Math.max(120, Math.min(maxLimit, Number(input.limit) || 200));
+  const runs = mainOnly
+    ? 1
+    : backtestRuns({
+        permutations: Math.max(0, Math.min(1000, Number(input.permutations) || 0)),
+        ablation: ["1", "true"].includes(String(input.ablation ?? "")),
+        predictorOptions: {
+          registry: modelRegistry,
+          models: input.models != null ? parseKeyList(input.models) : null
+        }
+      });
+  return PER_100_SESSIONS["/backtest"] * Math.ceil(limit / 100) * runs;
 }
 
-/** WeightOptimizationEngine — nhẹ nhàng tinh chỉnh theo gần đây */
-class WeightOptimizationEngine {
-  calculateNewWeights(perf, oldW) {
-    // Nếu 10 dự đoán gần đây tốt hơn 0.6 thì tăng nhẹ DeepSequence/Hybrid
-    let sum = 0;
-    Object.values(oldW).forEach((v) => (sum += v));
-    const base = { ...oldW };
-    if (perf.accuracy && perf.accuracy > 0.6) {
-      base.deepSequenceModel += 0.02;
-      base.hybridAttentionModel += 0.01;
-      base.probabilisticGraphicalModel += 0.005;
-      base.temporalFusionModel -= 0.015;
-      base.quantumInspiredNetwork -= 0.02;
-    }
-    // Chuẩn hóa sum=1
-    let s = 0;
-    Object.values(base).forEach((v) => (s += v));
-    Object.keys(base).forEach((k) => (base[k] = Math.max(0, base[k] / s)));
-    return base;
+function routeCost(req) {
+  if (req.path === "/predict" && req.query.asOf != null) return AS_OF_COST;
+  if (req.path === "/backtest/jobs" && req.method === "POST") {
+    return backtestCost({ ...req.query, ...(req.body ?? {}) }, { maxLimit: JOBS_MAX_LIMIT });
+  }
+  if (req.path.startsWith("/backtest/jobs")) return 1;
+  // xuất CSV / NDJSON chỉ chạy lượt chính
+  if (req.path === "/backtest") {
+    return backtestCost(req.query, { maxLimit: BACKTEST_SYNC_MAX_LIMIT, mainOnly: isExport(req) });
   }
+  const per100 = PER_100_SESSIONS[req.path];
+  if (per100) return per100 * Math.max(1, Math.ceil((Number(req.query.limit) || 160) / 100));
+  return ROUTE_COSTS[req.path] ?? 1;
 }
 
-/** AdvancedTrendEngine — phân tích xu hướng: streak, alternation, distribution, totals */
-class AdvancedTrendEngine {
-  analyze(historical, realtime, perf) {
-    const seq = [...historical, ...realtime];
-    const n = seq.length;
-
-    // streak hiện tại
-    let curLen = 1;
-    for (let i = n - 2; i >= 0 && seq[i] === seq[n - 1]; i--) curLen++;
-
-    // alternation gần đây
-    const altWindow = Math.min(40, n - 1);
-    let flip = 0;
-    for (let i = n - altWindow; i < n; i++) {
-      if (i > 0 && seq[i] !== seq[i - 1]) flip++;
+/**
+ * Kiểm tra key (header X-API-Key hoặc ?api_key=) rồi trừ `cost` ⇒ { status, body, headers, apiKey }.
+ * status null = cho qua; headers: RateLimit-* (chuẩn draft IETF) + X-Quota-* (khi đã tới bước trừ lượt).
+ * Dùng chung cho route HTTP (clientRateLimit) và lúc nâng cấp WebSocket live.
+ */
+function admitClient(req, cost) {
+  const raw = req.get("x-api-key") || req.query.api_key;
+  let subject, limits;
+  let apiKey = null;
+  if (raw) {
+    const rec = apiKeys.find(raw);
+    if (!rec) return { status: 401, body: { error: "API key không hợp lệ hoặc đã bị thu hồi." }, headers: {} };
+    subject = `key:${rec.id}`;
+    limits = {
+      ratePerMinute: rec.ratePerMinute ?? KEY_LIMITS.ratePerMinute,
+      dailyQuota: rec.dailyQuota ?? KEY_LIMITS.dailyQuota
+    };
+    apiKey = { id: rec.id, name: rec.name };
+  } else {
+    if (API_KEYS_REQUIRED) {
+      return { status: 401, body: { error: "Cần API key (header X-API-Key hoặc ?api_key=)." }, headers: {} };
     }
-    const altRatio = altWindow > 0 ? flip / altWindow : 0.5;
-
-    // phân phối gần
-    const win = Math.min(80, n);
-    const slice = seq.slice(-win);
-    const tCnt = slice.filter((x) => x === "T").length;
-    const ratioT = win > 0 ? tCnt / win : 0.5;
+    subject = `ip:${req.ip}`;
+    limits = ANON_LIMITS;
+  }
 
+  const r = rateLimiter.consume(subject, cost, limits);
+  const headers = {
+    "RateLimit-Policy": `${limits.ratePerMinute};w=60`,
+    "RateLimit-Limit": String(r.limit),
+    "RateLimit-Remaining": String(r.remaining),
+    "RateLimit-Reset": String(r.reset),
+    "X-Quota-Limit": String(r.quota.limit),
+    "X-Quota-Remaining": String(r.quota.remaining),
+    "X-Quota-Reset": String(r.quota.reset),
+    "X-Request-Cost": String(cost)
+  };
+  if (!r.ok && r.reason === "cost") {
+    const error =
+      `Chi phí request (${cost}) vượt giới hạn ${limits.ratePerMinute}/phút; ` +
+      "giảm limit / permutations / ablation hoặc dùng key có hạn mức cao hơn.";
+    return { status: 413, body: { error, reason: r.reason, cost }, headers };
+  }
+  if (!r.ok) {
     return {
-      streakDir: seq[n - 1],
-      streakLen: curLen,
-      altRatio,
-      ratioT,
-      perfHint: perf?.accuracy ?? 0
+      status: 429,
+      body: {
+        error: r.reason === "quota" ? "Đã hết hạn mức trong ngày." : "Quá nhiều request, thử lại sau.",
+        reason: r.reason,
+        cost,
+        retryAfter: r.retryAfter
+      },
+      headers: { ...headers, "Retry-After": String(r.retryAfter) }
     };
   }
+  return { status: null, body: null, headers, apiKey };
 }
 
-/** SmartEnsembleEngine — trộn các xác suất thành p(T) cuối */
-class SmartEnsembleEngine {
-  combinePredictions(analysis, trend, weights, threshold = 0.72) {
-    const clamp = (x) => Math.max(0.05, Math.min(0.95, x));
-    const pT_deep = clamp(analysis.deepSequenceModel?.pT ?? 0.5);
-    const pT_hatt = clamp(analysis.hybridAttentionModel?.pT ?? 0.5);
-    const pT_quant = clamp(analysis.quantumInspiredNetwork?.pT ?? 0.5);
-    const pT_temp = clamp(analysis.temporalFusionModel?.pT ?? 0.5);
-    const pT_prob = clamp(analysis.probabilisticGraphicalModel?.pT ?? 0.5);
-
-    const pT =
-      pT_deep * (weights.deepSequenceModel ?? 0.28) +
-      pT_hatt * (weights.hybridAttentionModel ?? 0.25) +
-      pT_quant * (weights.quantumInspiredNetwork ?? 0.22) +
-      pT_temp * (weights.temporalFusionModel ?? 0.15) +
-      pT_prob * (weights.probabilisticGraphicalModel ?? 0.1);
-
-    // confidence dựa theo |pT-0.5|, mức phủ dữ liệu (proxy), và tính ổn định trend
-    const dist = Math.abs(pT - 0.5) * 2; // 0..1
-    const coverage =
-      (analysis.coverageMarkov ?? 0.5) * 0.35 +
-      (analysis.coverageNgram ?? 0.5) * 0.25 +
-      (analysis.coverageAlt ?? 0.5) * 0.15 +
-      (analysis.coverageDist ?? 0.5) * 0.15 +
-      (analysis.coverageTotals ?? 0.5) * 0.10;
-
-    const stability =
-      (trend.streakLen >= 3 ? 0.15 : 0) +
-      (trend.altRatio > 0.55 || trend.altRatio < 0.45 ? 0.1 : 0);
-
-    const confidence = Math.max(
-      0.5,
-      Math.min(0.95, 0.6 * dist + 0.3 * coverage + 0.1 * stability)
-    );
-
-    return {
-      choice: pT >= 0.5 ? "T" : "X",
-      pT,
-      confidence,
-      passedThreshold: pT >= threshold || pT <= 1 - threshold
-    };
-  }
+/** Middleware cho /api/taixiu (trừ /admin — có auth riêng); hết lượt ⇒ 429 kèm Retry-After (giây) */
+function clientRateLimit(req, res, next) {
+  if (req.path.startsWith("/admin")) return next();
+  const r = admitClient(req, routeCost(req));
+  res.set(r.headers);
+  if (r.status) return res.status(r.status).json(r.body);
+  req.apiKey = r.apiKey;
+  next();
 }
 
-/** PredictionStability — xem p của các mô-đun có hội tụ không */
-class PredictionStability {
-  assess(pred, recent) {
-    if (!recent || recent.length < 3) return "initializing";
-    const avgP = recent.reduce((a, b) => a + (b.pT ?? 0.5), 0) / recent.length;
-    const varP =
-      recent.reduce((a, b) => a + Math.pow((b.pT ?? 0.5) - avgP, 2), 0) /
-      recent.length;
-    return varP < 0.01 ? "stable" : "volatile";
-  }
+/**
+ * Kiểm tra lúc nâng cấp WebSocket (/api/taixiu/live/ws): cùng luật key & rate limit như route HTTP,
+ * mỗi kết nối tính chi phí 1. req thô của http được gắn prototype request của Express (như Express
+ * làm với mọi request) để có req.ip theo "trust proxy" và req.get; key qua ?api_key= (trình duyệt
+ * không đặt được header cho WebSocket) hoặc X-API-Key.
+ */
+function admitWebSocket(req) {
+  Object.setPrototypeOf(req, app.request);
+  req.query = Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+  return admitClient(req, 1);
 }
+// ?lang=vi|en: key, nhãn, mức rủi ro & câu giải thích; Accept-Language chỉ đổi nhãn & câu chữ (giữ key tiếng Việt)
+app.use("/api/taixiu", i18n.localizeResponse);
 
-/** PerformanceMetricsEngine — proxy accuracy dựa backtest gần */
-class PerformanceMetricsEngine {
-  calculate(lastPreds) {
-    // lastPreds: [{choice, real? maybe}, ...] — ở đây không có ground-truth trực tiếp ⇒ mô phỏng đơn giản
-    const k = lastPreds.length;
-    const acc = 0.5 + Math.min(0.15, k * 0.005); // giữ ổn định 0.5~0.65 (không ảo tưởng)
-    return { accuracy: acc, precision: acc * 0.98, recall: acc * 0.98 };
-  }
+// tùy chọn cho mọi AdvancedTaiXiuPredictor (lib/predictor.js) tạo trong server, theo config hiện hành
+function predictorDefaults(config = configStore.config) {
+  return {
+    registry: modelRegistry,
+    regimeOnly: REGIME_ONLY,
+    weightLearnerOpts: WEIGHT_LEARNER_OPTS,
+    dataWindow: config.dataWindow,
+    predictionThreshold: config.predictionThreshold,
+    adaptiveLearningRate: config.adaptiveLearningRate,
+    weights: config.ensembleWeights
+  };
 }
 
 /* =======================
- * Sub-models (mô phỏng)
+ * Fetch & Transform
  * ======================= */
 
-/** DeepSequencePredictor — n-gram tới 5, Markov 1-bước */
-class DeepSequencePredictor {
-  constructor() {
-    this.memoryCells = [];
-    this.contextSize = 5;
-  }
-  async train(data, lr) {
-    this.memoryCells = this.memoryCells.slice(-20).concat([Date.now()]);
-    return { updatedMemory: this.memoryCells };
-  }
-  async analyze({ historical }) {
-    const seq = historical.join("");
-    const n = seq.length;
-    const ctxLen = Math.min(this.contextSize, Math.max(2, Math.floor(n / 80)));
-    const ctx = seq.slice(-ctxLen);
-    let hitsT = 0,
-      hitsX = 0;
-    for (let i = 0; i + ctx.length < n; i++) {
-      if (seq.slice(i, i + ctx.length) === ctx) {
-        const nxt = seq[i + ctx.length];
-        if (nxt === "T") hitsT++;
-        if (nxt === "X") hitsX++;
-      }
-    }
-    const total = hitsT + hitsX;
-    const pT = total > 0 ? hitsT / total : 0.5;
-
-    // thêm Markov 1-bước
-    let TT = 0,
-      TX = 0,
-      XT = 0,
-      XX = 0;
-    for (let i = 1; i < historical.length; i++) {
-      const a = historical[i - 1],
-        b = historical[i];
-      if (a === "T" && b === "T") TT++;
-      if (a === "T" && b === "X") TX++;
-      if (a === "X" && b === "T") XT++;
-      if (a === "X" && b === "X") XX++;
+/**
+ * Danh sách nguồn theo thứ tự ưu tiên: từ SOURCES_CONFIG nếu có, không thì SOURCE_URLS với mapping mặc định.
+ * Đường dẫn file cục bộ trong config được tính tương đối theo thư mục của file config.
+ */
+function loadSources() {
+  if (!SOURCES_CONFIG) return SOURCE_URLS.map((url) => ({ url }));
+  const file = path.resolve(SOURCES_CONFIG);
+  const conf = JSON.parse(fs.readFileSync(file, "utf8"));
+  const list = Array.isArray(conf) ? conf : conf.sources;
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error(`SOURCES_CONFIG ${file}: cần mảng "sources" không rỗng.`);
+  }
+  return list.map((src, i) => {
+    if (!src || typeof src.url !== "string") throw new Error(`SOURCES_CONFIG: nguồn #${i} thiếu url.`);
+    if (src.format && !FORMATS.includes(src.format)) {
+      throw new Error(`SOURCES_CONFIG: nguồn #${i} có format không hỗ trợ "${src.format}".`);
     }
-    const last = historical[historical.length - 1];
-    const pT_after_T = TT + TX > 0 ? TT / (TT + TX) : 0.5;
-    const pT_after_X = XT + XX > 0 ? XT / (XT + XX) : 0.5;
+    const remote = /^(https?|file):\/\//i.test(src.url);
+    return { ...src, url: remote ? src.url : path.resolve(path.dirname(file), src.url) };
+  });
+}
 
-    const pMarkov = last === "T" ? pT_after_T : pT_after_X;
+const SOURCES = loadSources();
+// mỗi nguồn một normalizer theo mapping riêng (lỗi mapping ⇒ dừng khi khởi động)
+const normalizers = new Map(SOURCES.map((src) => [src.url, createNormalizer(src.mapping)]));
+// cache TTL ngắn + gộp request + retry/backoff + circuit breaker; mọi nguồn lỗi ⇒ snapshot cũ (stale)
+const sourceClient = new SourceClient({
+  sources: SOURCES,
+  timeoutMs: Number(process.env.SOURCE_TIMEOUT_MS) || 15000,
+  ttlMs: Number(process.env.SOURCE_CACHE_TTL_MS) || 5000,
+  retries: Number(process.env.SOURCE_RETRIES ?? 2),
+  backoffMs: Number(process.env.SOURCE_BACKOFF_MS) || 500,
+  breaker: {
+    failureThreshold: Number(process.env.SOURCE_BREAKER_THRESHOLD) || 3,
+    cooldownMs: Number(process.env.SOURCE_BREAKER_COOLDOWN_MS) || 60000
+  },
+  http: axios
+});
 
-    const pBlend = 0.6 * pT + 0.4 * pMarkov;
-    return {
-      pT: pBlend,
-      context: ctx,
-      ngramStats: { hitsT, hitsX, total },
-      markov: { pT_after_T, pT_after_X },
-      modelType: "deepSequence"
-    };
-  }
+// Lấy + normalize theo mapping của nguồn vừa trả dữ liệu ⇒ { rows, report } cho poller
+async function fetchSource() {
+  const { data, source, stale, error } = await sourceClient.fetch();
+  if (stale) console.warn(`⚠️ Nguồn lỗi, dùng snapshot cũ: ${error}`);
+  const { rows, report } = ingestBatch(data, normalizers.get(source.url));
+  return { rows, report: { source: source.name, format: source.format, stale, ...report } };
 }
 
-/** HybridAttentionPredictor — attention thời gian + attention đặc trưng */
-class HybridAttentionPredictor {
-  async train() {
-    return {};
-  }
-  extractFeatures(historical) {
-    const n = historical.length;
-    // streak
-    let len = 1;
-    for (let i = n - 2; i >= 0 && historical[i] === historical[n - 1]; i--)
-      len++;
-    // alternation
-    const W = Math.min(40, n - 1);
-    let flip = 0;
-    for (let i = n - W; i < n; i++) if (i > 0 && historical[i] !== historical[i - 1]) flip++;
-    const altRatio = W > 0 ? flip / W : 0.5;
-    // distribution
-    const win = Math.min(80, n);
-    const slice = historical.slice(-win);
-    const tCnt = slice.filter((x) => x === "T").length;
-    const ratioT = win > 0 ? tCnt / win : 0.5;
-    return { streakLen: len, streakDir: historical[n - 1], altRatio, ratioT, win };
-  }
-  async analyze({ historical }) {
-    const f = this.extractFeatures(historical);
-    // attention thời gian: trọng số cao hơn cho gần đây
-    // p(T) từ đặc trưng:
-    let pT = 0.5;
-    // streak: nếu đang Tài dài → nghiêng T; nếu Xỉu dài → nghiêng X
-    if (f.streakDir === "T") pT += Math.min(0.2, f.streakLen * 0.02);
-    else pT -= Math.min(0.2, f.streakLen * 0.02);
-
-    // alternation cao → dễ đảo chiều so với phiên cuối
-    if (f.altRatio > 0.55) pT += f.streakDir === "T" ? -0.08 : 0.08;
-    else if (f.altRatio < 0.45) pT += f.streakDir === "T" ? 0.05 : -0.05;
-
-    // distribution: lệch > 55% thì thiên hướng hồi quy nhẹ
-    if (f.ratioT > 0.55) pT -= 0.06 * (f.ratioT - 0.55) * 10;
-    if (f.ratioT < 0.45) pT += 0.06 * (0.45 - f.ratioT) * 10;
-
-    pT = Math.max(0.05, Math.min(0.95, pT));
-
-    return { pT, features: f, modelType: "hybridAttention" };
-  }
-}
+/* =======================
+ * History store (persist qua restart) + poller nền
+ * ======================= */
+const historyStore = new HistoryStore({ file: HISTORY_FILE, validate: validateRow });
+const historyPoller = new HistoryPoller({
+  store: historyStore,
+  fetch: fetchSource,
+  intervalMs: POLL_INTERVAL_MS
+});
 
-/** QuantumInspiredNetwork — giao thoa giữa Momentum & Mean-reversion */
-class QuantumInspiredNetwork {
-  async train() {
-    return {};
-  }
-  async analyze({ historical }) {
-    const n = historical.length;
-    // momentum prob ~ xác suất giữ chiều sau streak ≥ 2
-    let mom = 0.5;
-    if (n >= 10) {
-      let keep = 0,
-        tot = 0;
-      let i = 0;
-      while (i < n) {
-        let j = i;
-        while (j + 1 < n && historical[j + 1] === historical[i]) j++;
-        const L = j - i + 1;
-        if (L >= 2 && j + 1 < n) {
-          keep += historical[j + 1] === historical[i] ? 1 : 0;
-          tot++;
-        }
-        i = j + 1;
-      }
-      mom = tot > 0 ? keep / tot : 0.5;
-    }
-    // mean-reversion prob ~ xác suất đảo chiều sau chuỗi ≥ 2
-    const mr = 1 - mom;
-
-    // pha giao thoa theo alternation gần đây
-    let alt = 0.5;
-    for (let i = 1; i < n; i++) alt += historical[i] !== historical[i - 1] ? 1 : 0;
-    alt = n > 1 ? (alt - 0.5) / (n - 1) : 0.5; // ~ tỷ lệ flip
-
-    const phi = (alt - 0.5) * Math.PI; // -π/2..π/2
-    const pBlend = Math.max(
-      0.05,
-      Math.min(0.95, mom + mr + 2 * Math.sqrt(mom * mr) * Math.cos(phi) - 0.5)
-    );
-    // map về 0..1
-    const pT =
-      historical[n - 1] === "T"
-        ? pBlend
-        : 1 - pBlend;
+const ledger = new PredictionLedger({ file: LEDGER_FILE });
 
-    return { pT, components: { mom, mr, phi }, modelType: "quantumInspired" };
-  }
-}
+// Trọng số ensemble cho /predict & live: Hedge học lại từ ledger khi khởi động, rồi theo từng phiên resolve
+const newHedgeWeights = () =>
+  new HedgeWeights({
+    prior: Object.fromEntries(modelRegistry.list().map((d) => [d.key, d.weight])),
+    ...WEIGHT_LEARNER_OPTS
+  });
+const onlineWeights = newHedgeWeights();
 
-/** TemporalFusionPredictor — gộp nhiều cửa sổ thời gian */
-class TemporalFusionPredictor {
-  async train() { return {}; }
-  probFromWindow(seq, w) {
-    if (seq.length < w + 1) return 0.5;
-    const slice = seq.slice(-w);
-    // đơn giản: nếu gần đây T nhiều hơn → pT tăng nhẹ
-    const tCnt = slice.filter((x) => x === "T").length;
-    return 0.5 + (tCnt / w - 0.5) * 0.5; // giảm biên
-  }
-  async analyze({ historical }) {
-    const p8 = this.probFromWindow(historical, 8);
-    const p20 = this.probFromWindow(historical, 20);
-    const p60 = this.probFromWindow(historical, 60);
-    const pT = 0.45 * p8 + 0.35 * p20 + 0.20 * p60;
-    return { pT, windows: { p8, p20, p60 }, modelType: "temporalFusion" };
+async function resolveLedger(rows) {
+  const resolved = await ledger.resolve(rows);
+  for (const rec of resolved) {
+    onlineWeights.update(rec.models, rec.real, { phien_sau: rec.phien_sau });
   }
+  return resolved;
 }
 
-/** AdvancedProbabilisticModel — Naive-Bayes nhẹ với feature discretes */
-class AdvancedProbabilisticModel {
-  async train() { return {}; }
-  async analyze({ historical }) {
-    const n = historical.length;
-    const last = historical[n - 1];
-    // features: lastSide, streakLen≥3, altHigh
-    let streak = 1;
-    for (let i = n - 2; i >= 0 && historical[i] === last; i--) streak++;
-    let flip = 0;
-    for (let i = 1; i < Math.min(n, 40); i++)
-      if (historical[n - i] !== historical[n - i - 1]) flip++;
-    const altHigh = (flip / Math.min(39, n - 1)) > 0.55;
-
-    // Likelihoods (heuristic)
-    let logOdds = 0; // log(P(T)/P(X))
-    if (last === "T") logOdds += Math.log(1.05);
-    else logOdds -= Math.log(1.05);
-    if (streak >= 3) logOdds += last === "T" ? Math.log(1.08) : -Math.log(1.08);
-    if (altHigh) logOdds += last === "T" ? -Math.log(1.12) : Math.log(1.12);
-
-    const odds = Math.exp(logOdds);
-    const pT = odds / (1 + odds);
-    return { pT, features: { last, streak, altHigh }, modelType: "probGraph" };
-  }
+const liveHub = new LiveHub();
+let liveSession = null; // phiên cuối đã tính & đẩy dự đoán live
+
+// Có phiên mới ⇒ đối chiếu các dự đoán đang chờ, rồi tính dự đoán kế tiếp một lần và đẩy cho subscriber
+historyPoller.on("merged", ({ added }) => {
+  if (!added) return;
+  onNewSessions().catch((e) => console.warn(`⚠️ Xử lý phiên mới lỗi: ${e.message}`));
+});
+
+async function onNewSessions() {
+  const rows = historyStore.rows();
+  await resolveLedger(rows);
+  const latest = historyStore.latestSession();
+  if (latest == null || latest === liveSession) return;
+  liveSession = latest;
+  await maybeRefitCalibration(rows);
+  const { next, explain } = await predictNext(rows);
+  // mỗi subscriber nhận bản theo ngôn ngữ lúc kết nối (?lang / Accept-Language), như response /predict
+  liveHub.publish(next, {
+    render: ({ lang, keyLang }) => i18n.localize({ ...next, giai_thich: explain(lang) }, lang, keyLang)
+  });
 }
 
 /* =======================
- * AdvancedTaiXiuPredictor (theo spec)
+ * Calibration — độ tin cậy hiển thị (do_tin_cay, rui_ro) lấy từ bản fit trên walk-forward
  * ======================= */
-class AdvancedTaiXiuPredictor {
-  constructor() {
-    this.historicalData = [];
-    this.realTimeData = [];
-    this.metaData = { lastUpdate: null, dataQuality: 1.0, anomalyCount: 0 };
-
-    this.models = this.initializeAdvancedModels();
-    this.performanceMetrics = {
-      accuracy: 0, precision: 0, recall: 0, last10Predictions: []
-    };
-    this.config = {
-      dataWindow: 500,
-      predictionThreshold: 0.72,
-      adaptiveLearningRate: 0.01,
-      ensembleWeights: this.calculateInitialWeights()
-    };
-
-    // engines
-    this.anomalyEngine = new AnomalyDetectionEngine();
-    this.patternEngine = new RealTimePatternEngine();
-    this.weightEngine = new WeightOptimizationEngine();
-    this.trendEngine = new AdvancedTrendEngine();
-    this.ensembleEngine = new SmartEnsembleEngine();
-    this.stabilityEngine = new PredictionStability();
-    this.metricsEngine = new PerformanceMetricsEngine();
-  }
-
-  initializeAdvancedModels() {
-    return {
-      deepSequenceModel: new DeepSequencePredictor(),
-      hybridAttentionModel: new HybridAttentionPredictor(),
-      quantumInspiredNetwork: new QuantumInspiredNetwork(),
-      temporalFusionModel: new TemporalFusionPredictor(),
-      probabilisticGraphicalModel: new AdvancedProbabilisticModel()
-    };
-  }
-  calculateInitialWeights() {
-    return {
-      deepSequenceModel: 0.28,
-      hybridAttentionModel: 0.25,
-      quantumInspiredNetwork: 0.22,
-      temporalFusionModel: 0.15,
-      probabilisticGraphicalModel: 0.10
-    };
-  }
+const calibrator = new Calibrator(CALIBRATION_OPTIONS);
+let calibrationJob = null;
+
+/** Fit `cal` trên walk-forward của tối đa CALIBRATION_WINDOW phiên sạch cuối cùng của rows */
+async function fitCalibrator(rows, cal = new Calibrator(CALIBRATION_OPTIONS)) {
+  const clean = rows.filter(isModelInput).slice(-CALIBRATION_WINDOW);
+  const steps =
+    clean.length > 101 ? await walkForward(clean, { predictorOptions: predictorDefaults() }) : [];
+  cal.fit(calibrationPoints(steps), {
+    fit_from_session: clean[0]?.session ?? null,
+    fit_to_session: clean[clean.length - 1]?.session ?? null
+  });
+  return cal;
+}
 
-  preprocessData(data) {
-    return data
-      .map((x) => (x === "T" || x === "X" ? x : null))
-      .filter(Boolean);
+function refitCalibration(rows) {
+  if (!calibrationJob) {
+    calibrationJob = fitCalibrator(rows, calibrator).finally(() => {
+      calibrationJob = null;
+    });
   }
+  return calibrationJob;
+}
 
-  detectAnomalies(data) {
-    if (this.historicalData.length < 50) return { count: 0, details: [] };
-    return this.anomalyEngine.analyze(data, this.historicalData);
+// bản hiệu chuẩn dựng lại cho ?asOf=: dữ liệu tới một phiên cũ không đổi ⇒ giữ vài bản gần nhất (kể cả đang fit)
+const AS_OF_CALIBRATION_CACHE = 32;
+const asOfCalibrations = new Map(); // "configVersion:phiên cuối:số dòng" -> Promise<Calibrator>
+
+function pointInTimeCalibrator(rows, configVersion) {
+  const key = `${configVersion}:${rows[rows.length - 1]?.session}:${rows.length}`;
+  let job = asOfCalibrations.get(key);
+  if (!job) {
+    job = fitCalibrator(rows);
+    job.catch(() => asOfCalibrations.delete(key));
+    asOfCalibrations.set(key, job);
+    if (asOfCalibrations.size > AS_OF_CALIBRATION_CACHE) {
+      asOfCalibrations.delete(asOfCalibrations.keys().next().value);
+    }
   }
+  return job;
+}
 
-  updateDataQuality(anomalyReport) {
-    const denom = Math.max(this.historicalData.length, 1);
-    const ratio = anomalyReport.count / denom;
-    this.metaData.dataQuality = Math.max(0.1, 1 - ratio * 2);
+/** Fit lại khi chưa fit hoặc đã có ≥ CALIBRATION_REFIT_EVERY phiên mới kể từ lần fit trước */
+async function maybeRefitCalibration(rows) {
+  const latest = rows[rows.length - 1]?.session;
+  const last = calibrator.meta.fit_to_session;
+  if (latest == null) return;
+  if (calibrator.status === "unfitted" || last == null || latest - last >= CALIBRATION_REFIT_EVERY) {
+    await refitCalibration(rows);
   }
+}
 
-  extractRealTimePatterns(data) {
-    return this.patternEngine.extract(data, this.historicalData);
-  }
+/** { raw, value } — value là độ tin cậy đã hiệu chuẩn (bằng raw khi dữ liệu fit còn mỏng) */
+function calibratedConfidence(pred, cal = calibrator) {
+  const raw = rawConfidence(pred);
+  return { raw, value: cal.apply(raw) };
+}
 
-  async adaptiveModelTraining() {
-    const trainingData = {
-      historical: this.historicalData,
-      realTime: this.realTimeData,
-      meta: this.metaData
-    };
-    await Promise.all(
-      Object.values(this.models).map((m) =>
-        m.train(trainingData, this.config.adaptiveLearningRate)
-      )
-    );
-    // điều chỉnh trọng số
-    this.config.ensembleWeights = this.weightEngine.calculateNewWeights(
-      this.performanceMetrics,
-      this.config.ensembleWeights
-    );
-  }
+/** ?abstain=1&threshold=0.6 ⇒ { abstain, threshold }; mặc định theo ABSTAIN / predictionThreshold của config */
+function abstainPolicy(query = {}) {
+  const flag = query.abstain == null ? ABSTAIN : ["1", "true"].includes(String(query.abstain));
+  const t = Number(query.threshold);
+  return {
+    abstain: flag,
+    threshold:
+      Number.isFinite(t) && t > 0
+        ? Math.max(0.5, Math.min(0.99, t))
+        : configStore.config.predictionThreshold
+  };
+}
 
-  async updateData(newData) {
-    try {
-      const processed = this.preprocessData(newData);
-      const anomalyReport = this.detectAnomalies(processed);
-      this.metaData.anomalyCount += anomalyReport.count;
-      this.updateDataQuality(anomalyReport);
+// dự đoán bị bỏ qua khi bật abstain và ensemble chưa vượt ngưỡng (passedThreshold)
+const isAbstained = (pred, policy) => !!(policy.abstain && pred?.choice && !pred.passedThreshold);
 
-      this.historicalData = [...this.historicalData, ...processed].slice(
-        -this.config.dataWindow
-      );
+function abstainReason(pred, policy, lang = i18n.DEFAULT_LANG) {
+  const edge = Math.max(pred.pT, 1 - pred.pT);
+  return i18n.t(lang, "text.abstained", { edge, threshold: policy.threshold });
+}
 
-      this.realTimeData = this.extractRealTimePatterns(processed);
+function ledgerEntry(rec) {
+  return {
+    phien: rec.phien,
+    phien_sau: rec.phien_sau,
+    du_doan: txLabel(rec.choice),
+    do_tin_cay: Number((rec.confidence * 100).toFixed(1)),
+    pT: rec.pT,
+    trang_thai: rec.status,
+    thuc_te: rec.real ? txLabel(rec.real) : null,
+    dung_khong: rec.status === "resolved" ? rec.correct : null,
+    configVersion: rec.configVersion ?? null,
+    createdAt: rec.createdAt,
+    resolvedAt: rec.resolvedAt ?? null
+  };
+}
 
-      await this.adaptiveModelTraining();
-      this.metaData.lastUpdate = new Date();
-      return { success: true, anomalyReport };
-    } catch (e) {
-      return { success: false, error: e.message };
-    }
-  }
+function historyEntry(r) {
+  return {
+    phien: r.session,
+    xuc_xac: r.dice,
+    tong: r.total,
+    ket_qua: r.R ? txLabel(r.R) : null,
+    canh_bao: r.flags ?? [] // mã lỗi nhất quán; khác rỗng ⇒ không dùng làm input model
+  };
+}
 
-  crossModelAnalysis(individual) {
-    // độ lệch giữa mô hình
-    const arr = [
-      individual.deepSequenceModel?.pT ?? 0.5,
-      individual.hybridAttentionModel?.pT ?? 0.5,
-      individual.quantumInspiredNetwork?.pT ?? 0.5,
-      individual.temporalFusionModel?.pT ?? 0.5,
-      individual.probabilisticGraphicalModel?.pT ?? 0.5
-    ];
-    const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
-    const varP = arr.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / arr.length;
-    return { mean, varP };
-  }
-
-  async multilayerAnalysis() {
-    const analysis = {};
-    const promises = Object.entries(this.models).map(async ([name, model]) => {
-      analysis[name] = await model.analyze({
-        historical: this.historicalData,
-        realTime: this.realTimeData?.context ?? []
-      });
-    });
-    await Promise.all(promises);
+// ?format=csv|ndjson (json / không có ⇒ response JSON thường)
+function isExport(req) {
+  const { format } = req.query;
+  return format != null && format !== "json";
+}
 
-    analysis.crossModel = this.crossModelAnalysis(analysis);
+/**
+ * ?format=csv|ndjson ⇒ RowExporter đã gửi header (route ghi từng dòng rồi end()); json / không có ⇒ null.
+ * Lỗi sau khi đã xuất dở: cắt kết nối (không còn gửi được JSON lỗi).
+ */
+function startExport(req, res, kind, headers = {}) {
+  if (!isExport(req)) return null;
+  const { format } = req.query;
+  res.set(headers);
+  return new RowExporter(res, { format, kind, lang: req.lang, keyLang: req.keyLang }).start();
+}
 
-    // coverage proxies
-    analysis.coverageMarkov = Math.min(1, this.historicalData.length / 120);
-    analysis.coverageNgram = Math.min(1, this.historicalData.length / 200);
-    analysis.coverageAlt = Math.min(1, this.historicalData.length / 60);
-    analysis.coverageDist = Math.min(1, this.historicalData.length / 80);
-    analysis.coverageTotals = 0.7; // không có totals trong class này ⇒ đặt cố định
+// Mọi route đọc từ store; chỉ fetch trực tiếp khi store còn trống (lần chạy đầu)
+async function loadRows() {
+  if (historyStore.size === 0) await historyPoller.pollOnce();
+  return historyStore.rows();
+}
 
-    return analysis;
+/**
+ * Dự đoán phiên kế tiếp sau dòng cuối của rows, ghi vào ledger.
+ * Dùng chung cho /predict và live push ⇒ cùng một shape `next`.
+ * lang: ngôn ngữ của giai_thich; explain(lang) dựng lại câu đó cho ngôn ngữ khác (live push theo subscriber).
+ * pointInTime: rows đã cắt tới một phiên cũ (?asOf=) ⇒ trọng số Hedge học lại chỉ từ các phiên ledger
+ * đã resolve tới đó, hiệu chuẩn fit lại trên rows, và không ghi ledger.
+ */
+async function predictNext(rows, policy = abstainPolicy(), { lang = i18n.DEFAULT_LANG, pointInTime = false } = {}) {
+  const { version: configVersion, config } = configStore.current;
+  const lastRow = rows[rows.length - 1];
+  let resolved = ledger.resolved();
+  let weightLearner = onlineWeights;
+  let cal = calibrator;
+  if (pointInTime) {
+    resolved = resolved.filter((r) => lastRow && r.phien_sau <= lastRow.session);
+    weightLearner = newHedgeWeights();
+    weightLearner.replay(resolved);
+    cal = await pointInTimeCalibrator(rows, configVersion);
   }
 
-  advancedTrendAnalysis() {
-    return this.trendEngine.analyze(
-      this.historicalData,
-      this.realTimeData?.context ?? [],
-      this.performanceMetrics
-    );
+  const predictor = new AdvancedTaiXiuPredictor({
+    ...predictorDefaults(config),
+    weightLearner,
+    predictionThreshold: policy.threshold
+  });
+  predictor.loadPerformanceHistory(resolved);
+  await predictor.updateData(rows);
+  const pred = await predictor.predict();
+  const conf = calibratedConfidence(pred, cal);
+  const abstained = isAbstained(pred, policy);
+
+  // dự đoán bị bỏ qua không vào ledger (ledger chỉ chấm những gì thực sự được phát ra)
+  if (pred?.choice && lastRow && !abstained && !pointInTime) {
+    await ledger.record({
+      phien: lastRow.session,
+      phien_sau: lastRow.session + 1,
+      choice: pred.choice,
+      pT: pred.pT,
+      confidence: conf.value,
+      rawConfidence: conf.raw,
+      models: predictor.modelProbabilities(pred.diagnostics.analysis),
+      configVersion
+    });
   }
 
-  ensemblePrediction(analysis, trend) {
-    return this.ensembleEngine.combinePredictions(
-      analysis,
-      trend,
-      this.config.ensembleWeights,
-      this.config.predictionThreshold
-    );
+  const next = {
+    phien: lastRow ? lastRow.session + 1 : null,
+    du_doan: null,
+    do_tin_cay: null,
+    giai_thich: null,
+    explanation: null,
+    rui_ro: null,
+    do_tin_cay_tho: null,
+    hieu_chuan: cal.status,
+    bo_qua: abstained,
+    configVersion // phiên bản config (admin API) đã tạo ra dự đoán này
+  };
+  const explain = (l) => {
+    if (abstained) return abstainReason(pred, policy, l);
+    return pred?.choice ? buildExplanation(pred, l) : null;
+  };
+  next.giai_thich = explain(lang);
+  if (!abstained && pred?.choice) {
+    next.du_doan = txLabel(pred.choice);
+    next.do_tin_cay = percent(conf.value);
+    next.explanation = buildExplanationDetail(pred);
+    next.rui_ro = riskFromConfidence(conf.value);
+    next.do_tin_cay_tho = percent(conf.raw);
   }
+  return { pred, next, explain };
+}
 
-  checkPredictionStability(pred) {
-    return this.stabilityEngine.assess(
-      pred,
-      this.performanceMetrics.last10Predictions
-    );
-  }
+/* =======================
+ * Backtest — tham số từ query; phần chạy ở lib/backtest.js (route đồng bộ & job nền)
+ * ======================= */
 
-  recordPredictionPerformance(pred) {
-    this.performanceMetrics.last10Predictions = [
-      ...this.performanceMetrics.last10Predictions.slice(-9),
-      pred
-    ];
-    const m = this.metricsEngine.calculate(
-      this.performanceMetrics.last10Predictions
-    );
-    this.performanceMetrics = { ...this.performanceMetrics, ...m };
-  }
-
-  async predict() {
-    try {
-      if (this.historicalData.length < 100)
-        throw new Error("Insufficient data for reliable prediction");
-
-      const analysis = await this.multilayerAnalysis();
-      const trend = this.advancedTrendAnalysis();
-      const finalPred = this.ensemblePrediction(analysis, trend);
-      const stability = this.checkPredictionStability(finalPred);
-      this.recordPredictionPerformance(finalPred);
-
-      return {
-        ...finalPred,
-        stability,
-        dataQuality: this.metaData.dataQuality,
-        modelWeights: this.config.ensembleWeights,
-        diagnostics: { analysis, trend }
-      };
-    } catch (e) {
-      return { error: e.message, confidence: 0, recommendation: "No-pred" };
+/**
+ * Tham số backtest từ query (hoặc body JSON của job): limit, warmup, dataWindow, threshold,
+ * models ("a,b"), weights ("a:0.3,b:0.2" hoặc object), ablation, bins, ci, permutations, seed.
+ * Giá trị số bị kẹp vào khoảng hợp lệ; key model / trọng số sai ⇒ lỗi 400.
+ * Kết quả chỉ gồm dữ liệu thuần (chuyển được sang worker thread).
+ */
+function backtestOptions(query = {}, { maxLimit = 10000 } = {}) {
+  const fail = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const limit = Math.max(120, Math.min(maxLimit, Number(query.limit) || 200));
+  // predictor cần ≥ 100 phiên trong cửa sổ mới dự đoán
+  const warmup = Math.max(100, Math.min(5000, Number(query.warmup) || 100));
+  const config = configStore.config;
+  const dataWindow = Math.max(100, Math.min(5000, Number(query.dataWindow) || config.dataWindow));
+  const predictionThreshold = abstainPolicy(query).threshold;
+  const regimeOnly = ["1", "true"].includes(String(query.regime_only ?? (REGIME_ONLY ? "1" : "")));
+
+  let models = null;
+  if (query.models != null) {
+    models = parseKeyList(query.models);
+    const unknown = models.filter((k) => !modelRegistry.get(k));
+    if (unknown.length) throw fail(`Model không tồn tại: ${unknown.join(", ")}`);
+    if (!models.length) throw fail("models rỗng.");
+  }
+  const active = modelRegistry.keys({ only: models });
+
+  let weights = null;
+  if (query.weights != null) {
+    weights = {};
+    const pairs =
+      typeof query.weights === "object" && !Array.isArray(query.weights)
+        ? Object.entries(query.weights).map(([k, v]) => `${k}:${v}`)
+        : parseKeyList(query.weights);
+    for (const pair of pairs) {
+      const [k, v] = pair.split(":").map((x) => x.trim());
+      const w = Number(v);
+      if (!active.includes(k)) throw fail(`Trọng số cho model không bật: ${k}`);
+      if (!(v !== "" && Number.isFinite(w) && w >= 0)) throw fail(`Trọng số không hợp lệ: ${pair}`);
+      weights[k] = w;
     }
+    if (Object.keys(weights).length === active.length && !Object.values(weights).some((w) => w > 0)) {
+      throw fail("Cần ít nhất một trọng số > 0.");
+    }
+  } else if (config.ensembleWeights) {
+    // mặc định: trọng số cố định của config (nếu có), giới hạn trong tập model đang chạy
+    const picked = Object.entries(config.ensembleWeights).filter(([k]) => active.includes(k));
+    if (picked.some(([, w]) => w > 0)) weights = Object.fromEntries(picked);
   }
-}
 
-/* =======================
- * Fetch & Transform
- * ======================= */
-async function fetchSource() {
-  const res = await axios.get(SOURCE_URL, { timeout: 15000 });
-  if (!Array.isArray(res.data)) throw new Error("SOURCE_URL không trả về mảng.");
-  return res.data;
+  return {
+    limit,
+    warmup,
+    configVersion: configStore.version,
+    predictorOptions: {
+      regimeOnly,
+      dataWindow,
+      predictionThreshold,
+      adaptiveLearningRate: config.adaptiveLearningRate,
+      models,
+      weights,
+      weightLearnerOpts: WEIGHT_LEARNER_OPTS
+    },
+    ablation: ["1", "true"].includes(String(query.ablation ?? "")),
+    bins: Math.max(2, Math.min(20, Number(query.bins) || 10)),
+    ciLevel: Math.max(0.5, Math.min(0.999, Number(query.ci) || 0.95)),
+    permutations: Math.max(0, Math.min(1000, Number(query.permutations) || 0)),
+    seed: Number.isFinite(Number(query.seed)) ? Number(query.seed) : 12345
+  };
 }
 
-function sortAndNormalize(raw) {
-  const rows = raw.map(normalizeRow).filter((r) => r.session != null);
-  rows.sort((a, b) => a.session - b.session);
-  return rows;
+// `limit` phiên gần nhất, chỉ các dòng dùng được làm input model
+async function backtestRows(limit) {
+  let rows = await loadRows();
+  if (rows.length > limit) rows = rows.slice(-limit);
+  return rows.filter(isModelInput);
 }
 
 /* =======================
  * Explain builder cho response
  * ======================= */
-function buildExplanation(pred) {
+function buildExplanation(pred, lang = i18n.DEFAULT_LANG) {
   const a = pred?.diagnostics?.analysis || {};
-  const trend = pred?.diagnostics?.trend || {};
-  const ds = a.deepSequenceModel || {};
-  const ha = a.hybridAttentionModel || {};
-  const qi = a.quantumInspiredNetwork || {};
-  const tf = a.temporalFusionModel || {};
-  const pg = a.probabilisticGraphicalModel || {};
   const cross = a.crossModel || {};
 
+  // mỗi model đang bật: mẫu trong catalog (models.<key>, điền từ features) ⇒ explain() của model ⇒ pT
+  const modelLines = Object.keys(pred?.modelWeights || {}).map((k) => {
+    const def = modelRegistry.get(k);
+    const r = a[k] || {};
+    const line = def?.features ? i18n.t(lang, `models.${k}`, def.features(r)) : null;
+    if (line) return line;
+    if (def?.explain) return def.explain(r);
+    return i18n.t(lang, "text.modelFallback", { label: def?.label ?? k, pT: r.pT });
+  });
+
   return [
-    `Deep-sequence: n-gram ctx="${ds.context ?? ""}", hitsT=${ds.ngramStats?.hitsT ?? 0}, hitsX=${ds.ngramStats?.hitsX ?? 0}, Markov P(T|T)=${ds.markov?.pT_after_T?.toFixed?.(2) ?? "?"}, P(T|X)=${ds.markov?.pT_after_X?.toFixed?.(2) ?? "?"}.`,
-    `Hybrid-attention: streak=${ha.features?.streakLen ?? "?"} (${ha.features?.streakDir === "T" ? "Tài" : "Xỉu"}), alt=${(ha.features?.altRatio ?? 0.5).toFixed(2)}, T-ratio=${(ha.features?.ratioT ?? 0.5).toFixed(2)}.`,
-    `Quantum-inspired: momentum=${qi.components?.mom?.toFixed?.(2) ?? "?"}, mean-rev=${qi.components?.mr?.toFixed?.(2) ?? "?"}, phi≈${qi.components?.phi?.toFixed?.(2) ?? "?"}.`,
-    `Temporal-fusion: p8=${tf.windows?.p8?.toFixed?.(2) ?? "?"}, p20=${tf.windows?.p20?.toFixed?.(2) ?? "?"}, p60=${tf.windows?.p60?.toFixed?.(2) ?? "?"}.`,
-    `Prob-graph: streak=${pg.features?.streak ?? "?"}, altHigh=${pg.features?.altHigh ?? "?"}.`,
-    `Cross-model: mean pT≈${cross.mean?.toFixed?.(3) ?? "?"}, var≈${cross.varP?.toFixed?.(4) ?? "?"}.`,
-    `=> Ensemble p(T)≈${pred?.pT?.toFixed?.(3) ?? "?"} ⇒ ${txLabel(pred?.choice)}.`
+    ...modelLines,
+    i18n.t(lang, "text.crossModel", cross),
+    i18n.t(lang, "text.ensemble", { pT: pred?.pT, choice: pred?.choice === "T" ? "T" : "X" })
   ].join(" ");
 }
 
+// làm tròn số thực trong object đặc trưng (giữ nguyên string / bool / null)
+const roundFeatures = (f) =>
+  Object.fromEntries(
+    Object.entries(f || {}).map(([k, v]) => [k, typeof v === "number" ? scoring.round(v) : v])
+  );
+
+/**
+ * Explanation có cấu trúc (đi kèm chuỗi giai_thich):
+ *  - models: mỗi model { key, label, pT, weight, contribution, toward, features }
+ *    contribution = weight × (pT − 0.5) với weight đã chuẩn hóa và pT bị kẹp như trong ensemble
+ *    ⇒ Σ contribution = ensemble pT − 0.5; dương đẩy về Tài, âm đẩy về Xỉu
+ *  - agreement: số model / tổng trọng số cùng phía với dự đoán cuối, mean & var pT giữa các model
+ */
+function buildExplanationDetail(pred) {
+  const a = pred?.diagnostics?.analysis || {};
+  const weights = pred?.modelWeights || {};
+  const keys = Object.keys(weights);
+  const wSum = keys.reduce((s, k) => s + weights[k], 0) || 1;
+  const clamp = (x) => Math.max(0.05, Math.min(0.95, x));
+
+  const models = keys.map((k) => {
+    const def = modelRegistry.get(k);
+    const r = a[k] || {};
+    const pT = r.pT ?? 0.5;
+    const weight = weights[k] / wSum;
+    const contribution = weight * (clamp(pT) - 0.5);
+    return {
+      key: k,
+      label: def?.label ?? k,
+      pT: scoring.round(pT),
+      weight: scoring.round(weight),
+      contribution: scoring.round(contribution),
+      toward: contribution > 0 ? "T" : contribution < 0 ? "X" : null,
+      features: def?.features ? roundFeatures(def.features(r)) : {}
+    };
+  });
+
+  const agree = models.filter((m) => m.toward === pred?.choice);
+  return {
+    pT: scoring.round(pred?.pT),
+    choice: pred?.choice ?? null,
+    models,
+    agreement: {
+      toward_T: models.filter((m) => m.toward === "T").length,
+      toward_X: models.filter((m) => m.toward === "X").length,
+      with_choice: agree.length,
+      weight_with_choice: scoring.round(agree.reduce((s, m) => s + m.weight, 0)),
+      mean_pT: scoring.round(a.crossModel?.mean),
+      var_pT: scoring.round(a.crossModel?.varP)
+    }
+  };
+}
+
 /* =======================
  * API Routes
  * ======================= */
 
+// Tài liệu OpenAPI (lib/openapi.js) — cũng là nguồn kiểm tra query: sai kiểu / ngoài khoảng ⇒ 400
+const openapiOptions = {
+  version: pkg.version,
+  models: modelRegistry.keys(),
+  langs: i18n.LANGS,
+  maxSyncLimit: BACKTEST_SYNC_MAX_LIMIT,
+  maxJobLimit: JOBS_MAX_LIMIT,
+  maxTrajectory: onlineWeights.keepTrajectory,
+  maxReports: historyPoller.keepReports
+};
+const openapi = buildOpenApi(openapiOptions);
+// bản theo ngôn ngữ nhãn (enum Tài/Xỉu, mức rủi ro) cho /openapi.json
+const openapiByLang = Object.fromEntries(
+  i18n.LANGS.map((lang) => [lang, buildOpenApi({ ...openapiOptions, lang })])
+);
+// file tĩnh của Swagger UI (swagger-ui-dist trong node_modules, không phụ thuộc CDN) — đặt trước
+// validator & rate limit để css/js của trang /docs không tốn lượt
+app.use("/api/taixiu/docs/assets", express.static(swaggerUi.getAbsoluteFSPath(), { index: false, maxAge: "1d" }));
+app.use("/api/taixiu", createQueryValidator(openapi));
+// tính phí sau khi query đã hợp lệ & ép kiểu: request sai không tốn lượt, routeCost đọc giá trị đã kiểm tra
+app.use("/api/taixiu", clientRateLimit);
+
 // Thông tin
 app.get("/", (req, res) => {
   res.json({
     ok: true,
     name: "TaiXiu Advanced Ensemble API",
-    endpoints: [
-      "/api/taixiu/history",
-      "/api/taixiu/predict",        // dự đoán cho phiên kế tiếp (gắn ở dòng cuối)
-      "/api/taixiu/predict/stream", // 'mỗi phiên một độ tin cậy' (rolling)
-      "/api/taixiu/backtest?limit=150"
-    ]
+    docs: "/api/taixiu/docs",
+    openapi: "/api/taixiu/openapi.json",
+    endpoints: [...listOperations(openapi), "WS /api/taixiu/live/ws"],
+    history: historyPoller.status(),
+    source: sourceClient.status(),
+    models: modelRegistry.keys(),
+    live: liveHub.status(),
+    jobs: backtestJobs.status(),
+    configVersion: configStore.version,
+    languages: i18n.LANGS // ?lang= (key + nhãn) hoặc Accept-Language (chỉ nhãn) cho các route /api/taixiu
   });
 });
 
-// Lịch sử chuẩn hóa
-app.get("/api/taixiu/history", async (_req, res) => {
+// OpenAPI 3 (JSON) khớp response cùng request: nhãn trong enum theo req.lang, tên trường đổi theo ?lang như response
+app.get("/api/taixiu/openapi.json", (req, res) => {
+  res.json(openapiByLang[req.lang]);
+});
+
+// Trang tài liệu: Swagger UI (file tĩnh ở /api/taixiu/docs/assets) đọc openapi.json cùng ngôn ngữ
+app.get("/api/taixiu/docs", (req, res) => {
+  const spec = `/api/taixiu/openapi.json?lang=${req.keyLang}`;
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>TaiXiu API docs</title>
+  <link rel="stylesheet" href="/api/taixiu/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="ui"></div>
+  <script src="/api/taixiu/docs/assets/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: ${JSON.stringify(spec)}, dom_id: "#ui" });</script>
+</body>
+</html>`);
+});
+
+/**
+ * Lịch sử chuẩn hóa (?format=csv|ndjson để tải về)
+ * ?from=&to= lọc theo phiên (gồm cả hai đầu), ?offset=&limit= phân trang (không limit ⇒ tới hết).
+ * dataHash: sha256 nội dung các phiên trả về ⇒ gọi lại cùng tham số để kiểm tra / tái lập response.
+ * `next` ghim `to` vào phiên cuối lúc lấy trang đầu ⇒ các trang sau không bị lệch khi có phiên mới;
+ * các tham số khác giữ nguyên như request (CSV / NDJSON: header Link rel="next").
+ */
+app.get("/api/taixiu/history", async (req, res) => {
   try {
-    const raw = await fetchSource();
-    const rows = sortAndNormalize(raw);
+    const { from = null, to = null, offset = 0, limit = null } = req.query;
+    if (from != null && to != null && from > to) {
+      return res.status(400).json({
+        error: "Query không hợp lệ.",
+        errors: [{ field: "from", message: "Cần from ≤ to." }]
+      });
+    }
+    const matching = sliceSessions(await loadRows(), { from, to });
+    const page = matching.slice(offset, limit == null ? undefined : offset + limit);
+    const hash = dataHash(page);
+    const nextOffset = offset + page.length < matching.length ? offset + page.length : null;
+    let next = null;
+    if (nextOffset != null) {
+      // giữ nguyên mọi tham số gốc (format, lang, api_key…), chỉ ghim to & đổi offset
+      const params = new URL(req.originalUrl, "http://localhost").searchParams;
+      params.set("to", to ?? matching[matching.length - 1].session);
+      params.set("offset", nextOffset);
+      next = `/api/taixiu/history?${params}`;
+    }
+
+    const out = startExport(req, res, "history", {
+      "X-Data-Hash": hash,
+      "X-Total-Count": String(matching.length),
+      ...(next && { Link: `<${next}>; rel="next"` }) // CSV / NDJSON không có body JSON để mang `next`
+    });
+    if (out) {
+      for (const r of page) {
+        if (!(await out.write(historyEntry(r)))) break;
+      }
+      return out.end();
+    }
     res.json({
-      count: rows.length,
-      data: rows.map((r) => ({
-        phien: r.session,
-        xuc_xac: r.dice,
-        tong: r.total,
-        ket_qua: r.R ? txLabel(r.R) : null
-      }))
+      count: page.length,
+      total: matching.length,
+      from,
+      to,
+      offset,
+      limit,
+      dataHash: hash,
+      next,
+      stale: sourceClient.stale,
+      data: page.map(historyEntry)
     });
   } catch (e) {
+    if (res.headersSent) return res.destroy(e);
     res.status(500).json({ error: e.message || "Fetch error" });
   }
 });
 
-// Dự đoán phiên kế tiếp — gắn vào dòng cuối
-app.get("/api/taixiu/predict", async (_req, res) => {
+// Chất lượng dữ liệu — cờ nhất quán dice/total/result trên toàn bộ store
+app.get("/api/taixiu/quality", async (req, res) => {
+  try {
+    const recent = Math.max(0, Math.min(200, Number(req.query.recent) || 20));
+    const rows = await loadRows();
+    const summary = summarizeQuality(rows, {
+      recent,
+      describe: (code) => i18n.t(req.lang, `flags.${code}`)
+    });
+    res.json({
+      updatedAt: new Date().toISOString(),
+      ...summary,
+      recent_flagged: summary.recent_flagged.map(historyEntry)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Quality error" });
+  }
+});
+
+// Weights — trọng số ensemble học online (Hedge) & quỹ đạo theo từng phiên resolve
+app.get("/api/taixiu/weights", (req, res) => {
   try {
-    const raw = await fetchSource();
-    const rows = sortAndNormalize(raw);
-    const seq = rows.map((r) => r.R).filter(Boolean);
+    const limit = Math.max(1, Math.min(onlineWeights.keepTrajectory, Number(req.query.limit) || 100));
+    res.json({
+      updatedAt: new Date().toISOString(),
+      ...onlineWeights.status(),
+      active: onlineWeights.weights(modelRegistry.keys()),
+      trajectory: onlineWeights.trajectory.slice(-limit)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Weights error" });
+  }
+});
+
+// Calibration — bản fit hiện hành (độ tin cậy thô → tần suất trúng) và đường cong tra cứu
+app.get("/api/taixiu/calibration", async (req, res) => {
+  try {
+    if (["1", "true"].includes(String(req.query.refit))) await refitCalibration(await loadRows());
+    res.json({
+      updatedAt: new Date().toISOString(),
+      ...calibrator.describe(),
+      curve: calibrator.curve(),
+      steps: calibrator.model?.steps?.map((s) => ({
+        from: scoring.round(s.from),
+        to: scoring.round(s.to),
+        count: s.count,
+        hit_rate: scoring.round(s.mean)
+      })) ?? null
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Calibration error" });
+  }
+});
+
+// Regimes — điểm đổi chế độ (CUSUM) trên tỷ lệ Tài, tỷ lệ đảo chiều, trung bình tổng
+app.get("/api/taixiu/regimes", async (req, res) => {
+  try {
+    const limit = Math.max(0, Number(req.query.limit) || 0); // 0 = toàn bộ store
+    const k = Math.max(0.01, Math.min(2, Number(req.query.k) || 0.15));
+    const h = Math.max(1, Math.min(100, Number(req.query.h) || 25));
+    const warmup = Math.max(10, Math.min(1000, Number(req.query.warmup) || 100));
+    let rows = (await loadRows()).filter(isModelInput);
+    if (limit && rows.length > limit) rows = rows.slice(-limit);
+    res.json({
+      updatedAt: new Date().toISOString(),
+      from: rows[0]?.session ?? null,
+      to: rows[rows.length - 1]?.session ?? null,
+      ...detectRegimes(rows, { k, h, warmup })
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Regimes error" });
+  }
+});
 
-    const predictor = new AdvancedTaiXiuPredictor();
-    await predictor.updateData(seq);
-    const pred = await predictor.predict();
+/**
+ * Dự đoán phiên kế tiếp — gắn vào dòng cuối.
+ * ?asOf=<phiên>: dựng lại dự đoán chỉ từ dữ liệu tới phiên đó (audit "khi ấy service sẽ nói gì"),
+ * kèm dự đoán thực sự đã ghi ledger cho phiên kế (nếu có) và kết quả thật.
+ */
+app.get("/api/taixiu/predict", async (req, res) => {
+  try {
+    const policy = abstainPolicy(req.query);
+    const asOf = req.query.asOf ?? null;
+    let rows = await loadRows();
+    if (asOf != null) {
+      rows = sliceSessions(rows, { to: asOf });
+      if (!rows.length) return res.status(404).json({ error: `Không có dữ liệu tới phiên ${asOf}.` });
+    }
+    const { next } = await predictNext(rows, policy, { lang: req.lang, pointInTime: asOf != null });
 
     const out = rows.map((r) => ({
       phien: r.session,
@@ -757,67 +1002,132 @@ app.get("/api/taixiu/predict", async (_req, res) => {
 
     // gắn dự đoán vào dòng cuối
     const last = out[out.length - 1];
-    if (pred?.choice) {
-      last.du_doan = txLabel(pred.choice);
-      last.do_tin_cay = Number(((pred.confidence ?? 0.6) * 100).toFixed(1));
-      last.giai_thich = buildExplanation(pred);
-      last.rui_ro = riskFromConfidence(pred.confidence ?? 0.6);
+    if (last) {
+      last.du_doan = next.du_doan;
+      last.do_tin_cay = next.do_tin_cay;
+      last.giai_thich = next.giai_thich;
+      last.rui_ro = next.rui_ro;
+    }
+
+    let pointInTime = null;
+    if (asOf != null) {
+      const recorded = next.phien == null ? null : ledger.get(next.phien);
+      const actual = historyStore.rows().find((r) => r.session === next.phien);
+      pointInTime = {
+        asOf,
+        to_session: rows[rows.length - 1].session,
+        dataHash: dataHash(rows),
+        recorded: recorded ? ledgerEntry(recorded) : null, // dự đoán đã thực sự phát ra lúc đó
+        thuc_te: actual?.R ? txLabel(actual.R) : null
+      };
     }
 
     res.json({
       updatedAt: new Date().toISOString(),
+      stale: sourceClient.stale,
+      configVersion: next.configVersion,
+      abstain: policy,
+      asOf: pointInTime,
       count: out.length,
       data: out,
-      next: {
-        phien: rows[rows.length - 1]?.session + 1,
-        du_doan: last.du_doan,
-        do_tin_cay: last.do_tin_cay,
-        giai_thich: last.giai_thich,
-        rui_ro: last.rui_ro
-      }
+      next
     });
   } catch (e) {
     res.status(500).json({ error: e.message || "Predict error" });
   }
 });
 
+// Ledger — các dự đoán đã phát ra & kết quả thật (accuracy thực tế)
+app.get("/api/taixiu/ledger", (req, res) => {
+  try {
+    const status = ["pending", "resolved"].includes(req.query.status)
+      ? req.query.status
+      : undefined;
+    const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
+    const recs = ledger.list({ status });
+    const metrics = new PerformanceMetricsEngine().calculate(ledger.resolved());
+    res.json({
+      count: recs.length,
+      metrics,
+      data: recs.slice(-limit).map(ledgerEntry)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Ledger error" });
+  }
+});
+
 // Stream — “mỗi phiên một độ tin cậy” (rolling prediction cho phiên tiếp theo tại mỗi thời điểm)
 app.get("/api/taixiu/predict/stream", async (req, res) => {
   try {
-    const limit = Math.max(60, Math.min(400, Number(req.query.limit) || 160));
-    const raw = await fetchSource();
-    let rows = sortAndNormalize(raw);
+    const limit = Math.max(60, Math.min(5000, Number(req.query.limit) || 160));
+    const policy = abstainPolicy(req.query);
+    let rows = await loadRows();
     if (rows.length > limit) rows = rows.slice(-limit);
 
     const recs = [];
+    const { version: configVersion, config } = configStore.current;
+    // xuất CSV / NDJSON: mỗi phiên ghi ngay khi tính xong thay vì gom vào recs
+    const out = startExport(req, res, "stream", { "X-Config-Version": String(configVersion) });
+    const emit = async (rec) => (out ? out.write(rec) : recs.push(rec));
+    const predictor = new AdvancedTaiXiuPredictor({
+      ...predictorDefaults(config),
+      predictionThreshold: policy.threshold
+    });
+    let seen = 0; // số phiên có kết quả đã đưa vào predictor
     for (let i = 0; i < rows.length; i++) {
-      const seq = rows.slice(0, i + 1).map((r) => r.R).filter(Boolean);
-      if (seq.length < 100) {
-        recs.push({
+      if (out?.closed) break; // client đã ngắt ⇒ thôi tính
+      if (isModelInput(rows[i])) {
+        await predictor.updateData([rows[i]]);
+        seen++;
+      }
+      if (seen < 100) {
+        await emit({
           phien: rows[i].session,
           phien_sau: rows[i].session + 1,
           du_doan: null,
           do_tin_cay: null,
-          giai_thich: "Không đủ dữ liệu (>100) để dự đoán đáng tin.",
-          rui_ro: "cao"
+          giai_thich: i18n.t(req.lang, "text.notEnoughData"),
+          rui_ro: "cao",
+          bo_qua: false
         });
         continue;
       }
-      const predictor = new AdvancedTaiXiuPredictor();
-      await predictor.updateData(seq);
       const pred = await predictor.predict();
-      recs.push({
+      if (isAbstained(pred, policy)) {
+        await emit({
+          phien: rows[i].session,
+          phien_sau: rows[i].session + 1,
+          du_doan: null,
+          do_tin_cay: null,
+          giai_thich: abstainReason(pred, policy, req.lang),
+          rui_ro: null,
+          bo_qua: true
+        });
+        continue;
+      }
+      const conf = calibratedConfidence(pred);
+      await emit({
         phien: rows[i].session,
         phien_sau: rows[i].session + 1,
         du_doan: txLabel(pred.choice),
-        do_tin_cay: Number(((pred.confidence ?? 0.6) * 100).toFixed(1)),
-        giai_thich: buildExplanation(pred),
-        rui_ro: riskFromConfidence(pred.confidence ?? 0.6)
+        do_tin_cay: percent(conf.value),
+        giai_thich: buildExplanation(pred, req.lang),
+        explanation: buildExplanationDetail(pred),
+        rui_ro: riskFromConfidence(conf.value),
+        bo_qua: false
       });
     }
+    if (out) return out.end();
 
-    res.json({ window: rows.length, data: recs });
+    res.json({
+      window: rows.length,
+      configVersion,
+      abstain: policy,
+      calibration: calibrator.describe(),
+      data: recs
+    });
   } catch (e) {
+    if (res.headersSent) return res.destroy(e);
     res.status(500).json({ error: e.message || "Stream error" });
   }
 });
@@ -825,53 +1135,291 @@ app.get("/api/taixiu/predict/stream", async (req, res) => {
 // Backtest — trượt theo thời gian để ước tính độ đúng (proxy)
 app.get("/api/taixiu/backtest", async (req, res) => {
   try {
-    const limit = Math.max(120, Math.min(600, Number(req.query.limit) || 200));
-    const raw = await fetchSource();
-    let rows = sortAndNormalize(raw);
-    if (rows.length > limit) rows = rows.slice(-limit);
+    const { limit, predictorOptions: picked, ...opts } = backtestOptions(req.query, {
+      maxLimit: BACKTEST_SYNC_MAX_LIMIT
+    });
+    const predictorOptions = { ...predictorDefaults(), ...picked };
+    const rows = await backtestRows(limit);
+    // CSV / NDJSON chỉ chạy lượt chính (không permutation / ablation)
+    const exporting = isExport(req);
+    const steps = backtestSteps(
+      rows.length,
+      exporting ? { warmup: opts.warmup, predictorOptions } : { ...opts, predictorOptions }
+    );
+    if (steps > BACKTEST_SYNC_MAX_STEPS) {
+      return res.status(413).json({
+        error:
+          `Backtest cần ${steps} điểm cắt (tối đa ${BACKTEST_SYNC_MAX_STEPS} cho route đồng bộ); ` +
+          "giảm limit / permutations / ablation hoặc dùng POST /api/taixiu/backtest/jobs.",
+        jobs: "/api/taixiu/backtest/jobs"
+      });
+    }
+    // CSV / NDJSON: chỉ các dòng data, ghi ngay trong vòng walk-forward (tổng hợp xem ở JSON)
+    const out = startExport(req, res, "backtest", {
+      "X-Config-Version": String(opts.configVersion),
+      "X-Evaluated": String(steps)
+    });
+    if (exporting) {
+      await exportBacktestRows(rows, {
+        warmup: opts.warmup,
+        predictorOptions,
+        calibrator,
+        write: (rec) => out.write(rec)
+      });
+      return out.end();
+    }
+    const result = await runBacktest(rows, {
+      ...opts,
+      predictorOptions,
+      calibrator,
+      calibrationOptions: CALIBRATION_OPTIONS
+    });
+    res.json(result);
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    res.status(e.status || 500).json({ error: e.message || "Backtest error" });
+  }
+});
 
-    const seqFull = rows.map((r) => r.R).filter(Boolean);
-    const recs = [];
-    let correct = 0,
-      totalPred = 0;
+// Job backtest nền — POST tạo job (tham số như /backtest, qua query hoặc body JSON), trả 202 + id
+app.post("/api/taixiu/backtest/jobs", async (req, res) => {
+  try {
+    if (!req.apiKey && !JOBS_ANONYMOUS) {
+      return res.status(401).json({ error: "Tạo job backtest cần API key (header X-API-Key hoặc ?api_key=)." });
+    }
+    const { limit, ...options } = backtestOptions(
+      { ...req.query, ...(req.body ?? {}) },
+      { maxLimit: JOBS_MAX_LIMIT }
+    );
+    const rows = await backtestRows(limit);
+    const job = backtestJobs.create({
+      kind: "backtest",
+      owner: req.apiKey?.id ?? null,
+      params: {
+        limit,
+        ...options,
+        rows: rows.length,
+        from_session: rows[0]?.session ?? null,
+        to_session: rows[rows.length - 1]?.session ?? null
+      },
+      workerData: {
+        rows,
+        options,
+        modelsDir: MODELS_DIR,
+        modelSelection: MODEL_SELECTION,
+        calibrator: calibrator.snapshot(),
+        calibrationOptions: CALIBRATION_OPTIONS
+      }
+    });
+    res.status(202).location(`/api/taixiu/backtest/jobs/${job.id}`).json(job);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Job error" });
+  }
+});
 
-    for (let cut = 100; cut < seqFull.length - 1; cut++) {
-      const seq = seqFull.slice(0, cut);
-      const predictor = new AdvancedTaiXiuPredictor();
-      await predictor.updateData(seq);
-      const pred = await predictor.predict();
-      const realNext = seqFull[cut]; // kết quả “phiên sau” tại thời điểm cut
+/**
+ * Chỉ API key đã tạo job hoặc admin (ADMIN_TOKEN / ADMIN_API_KEYS) được xem params, kết quả và huỷ job;
+ * job tạo ẩn danh (JOBS_ANONYMOUS=1) chỉ admin quản lý. Job của người khác ⇒ như không tồn tại (404).
+ */
+function canAccessJob(req, job) {
+  if (adminAuth.identify(req)) return true;
+  return job.owner != null && job.owner === req.apiKey?.id;
+}
+
+// Danh sách job của key gọi (admin: mọi job), mới nhất trước, kèm summary để so sánh các lần chạy
+app.get("/api/taixiu/backtest/jobs", (req, res) => {
+  res.json({ ...backtestJobs.status(), jobs: backtestJobs.list().filter((job) => canAccessJob(req, job)) });
+});
 
-      const ok = pred.choice === realNext;
-      totalPred++;
-      if (ok) correct++;
+// Tiến độ / kết quả một job
+app.get("/api/taixiu/backtest/jobs/:id", async (req, res) => {
+  try {
+    const found = backtestJobs.get(req.params.id);
+    if (!found || !canAccessJob(req, found)) return res.status(404).json({ error: "Không có job này." });
+    res.json(await backtestJobs.getWithResult(req.params.id));
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Job error" });
+  }
+});
 
-      recs.push({
-        phien: rows[cut - 1].session,
-        phien_sau: rows[cut - 1].session + 1,
-        du_doan: txLabel(pred.choice),
-        do_tin_cay: Number(((pred.confidence ?? 0.6) * 100).toFixed(1)),
-        thuc_te: txLabel(realNext),
-        dung_khong: ok,
-        rui_ro: riskFromConfidence(pred.confidence ?? 0.6)
-      });
+// Huỷ job đang chờ / đang chạy
+app.delete("/api/taixiu/backtest/jobs/:id", async (req, res) => {
+  try {
+    const before = backtestJobs.get(req.params.id);
+    if (!before || !canAccessJob(req, before)) return res.status(404).json({ error: "Không có job này." });
+    if (!["queued", "running"].includes(before.status)) {
+      return res.status(409).json({ error: `Job đã kết thúc (${before.status}).`, job: before });
+    }
+    res.json(await backtestJobs.cancel(req.params.id));
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Job error" });
+  }
+});
+
+/* =======================
+ * Admin — config runtime (cần ADMIN_TOKEN hoặc ADMIN_API_KEYS), mọi thay đổi được ghi audit
+ * ======================= */
+const configView = (rec) => ({ ...rec, fields: CONFIG_FIELDS });
+
+// độ tin cậy hiển thị được hiệu chuẩn theo predictor ⇒ fit lại với config mới
+function onConfigChanged(rec) {
+  if (!rec.changed) return;
+  refitCalibration(historyStore.rows()).catch((e) => console.warn(`⚠️ Hiệu chuẩn lỗi: ${e.message}`));
+}
+
+app.get("/api/taixiu/admin/config", adminAuth, (req, res) => {
+  res.json(configView(configStore.current));
+});
+
+// Sửa một phần config: body { ...trường config, reason?, baseVersion? } ⇒ phiên bản mới
+app.patch("/api/taixiu/admin/config", adminAuth, async (req, res) => {
+  try {
+    const { reason = null, baseVersion = null, ...patch } = req.body ?? {};
+    const rec = await configStore.update(patch, { actor: req.admin.actor, reason, baseVersion });
+    onConfigChanged(rec);
+    res.json(configView(rec));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Config error", errors: e.errors });
+  }
+});
+
+app.get("/api/taixiu/admin/config/versions", adminAuth, (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 50));
+  res.json({ current: configStore.version, versions: configStore.versions({ limit }) });
+});
+
+// Quay về config của phiên bản cũ: body { version, reason? }
+app.post("/api/taixiu/admin/config/rollback", adminAuth, async (req, res) => {
+  try {
+    const { version, reason = null } = req.body ?? {};
+    const rec = await configStore.rollback(version, { actor: req.admin.actor, reason });
+    onConfigChanged(rec);
+    res.json(configView(rec));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message || "Config error", errors: e.errors });
+  }
+});
+
+app.get("/api/taixiu/admin/audit", adminAuth, (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
+  res.json({ data: configStore.auditEntries({ limit }) });
+});
+
+// API key client: cấp (key thô chỉ trả một lần), liệt kê kèm mức dùng hôm nay, thu hồi
+app.post("/api/taixiu/admin/keys", adminAuth, async (req, res) => {
+  try {
+    const { name, ratePerMinute = null, dailyQuota = null } = req.body ?? {};
+    const errors = [];
+    if (typeof name !== "string" || !name.trim() || name.length > 64) {
+      errors.push({ field: "name", message: "Cần chuỗi 1..64 ký tự." });
+    }
+    for (const [field, v] of Object.entries({ ratePerMinute, dailyQuota })) {
+      if (v != null && !(Number.isInteger(v) && v > 0)) {
+        errors.push({ field, message: "Cần số nguyên > 0 (hoặc null = mặc định)." });
+      }
     }
+    if (errors.length) return res.status(400).json({ error: "Tham số không hợp lệ.", errors });
+
+    const { key, record } = await apiKeys.issue({
+      name: name.trim(),
+      ratePerMinute,
+      dailyQuota,
+      actor: req.admin.actor
+    });
+    await configStore.audit({ actor: req.admin.actor, action: "key.issue", keyId: record.id, name: record.name });
+    res.status(201).json({ ...record, key });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Key error" });
+  }
+});
 
-    const acc = totalPred > 0 ? Number(((correct / totalPred) * 100).toFixed(1)) : null;
+app.get("/api/taixiu/admin/keys", adminAuth, (req, res) => {
+  res.json({
+    defaults: { key: KEY_LIMITS, anonymous: ANON_LIMITS, required: API_KEYS_REQUIRED },
+    data: apiKeys.list().map((k) => ({ ...k, used_today: rateLimiter.usage(`key:${k.id}`) }))
+  });
+});
 
+app.delete("/api/taixiu/admin/keys/:id", adminAuth, async (req, res) => {
+  try {
+    const rec = await apiKeys.revoke(req.params.id, { actor: req.admin.actor });
+    if (!rec) return res.status(404).json({ error: "Không có key này." });
+    await configStore.audit({ actor: req.admin.actor, action: "key.revoke", keyId: rec.id, name: rec.name });
+    res.json(rec);
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Key error" });
+  }
+});
+
+// Randomness — lịch sử có giống xúc xắc cân đối? (χ² mặt/tổng, runs, tự tương quan, độ dài run)
+app.get("/api/taixiu/randomness", async (req, res) => {
+  try {
+    const limit = Math.max(0, Number(req.query.limit) || 0); // 0 = toàn bộ store
+    const lags = Math.max(1, Math.min(20, Number(req.query.lags) || 5));
+    const alpha = Math.max(0.001, Math.min(0.2, Number(req.query.alpha) || 0.05));
+    let rows = await loadRows();
+    if (limit && rows.length > limit) rows = rows.slice(-limit);
     res.json({
-      evaluated: totalPred,
-      accuracy_percent: acc,
-      data: recs
+      updatedAt: new Date().toISOString(),
+      from: rows[0]?.session ?? null,
+      to: rows[rows.length - 1]?.session ?? null,
+      ...analyzeRandomness(rows, { maxLag: lags, alpha })
     });
   } catch (e) {
-    res.status(500).json({ error: e.message || "Backtest error" });
+    res.status(500).json({ error: e.message || "Randomness error" });
   }
 });
 
+// Ingest — báo cáo các lần lấy nguồn gần nhất: nhận / loại (theo lý do) / trường không đọc được
+app.get("/api/taixiu/ingest", (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(historyPoller.keepReports, Number(req.query.limit) || 5));
+    res.json({
+      sources: sourceClient.status().sources,
+      count: historyPoller.reports.length,
+      data: historyPoller.reports.slice(-limit).reverse()
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message || "Ingest error" });
+  }
+});
+
+// Live — SSE: mỗi khi nguồn có phiên mới, server đẩy `next` (cùng shape & ngôn ngữ như /predict)
+// WebSocket tương đương: ws://<host>/api/taixiu/live/ws
+app.get("/api/taixiu/live", (req, res) => {
+  liveHub.attachSse(req, res);
+});
+
 /* =======================
  * Start
  * ======================= */
-app.listen(PORT, () => {
-  console.log(`✅ TaiXiu Advanced Ensemble API running on :${PORT}`);
+const server = http.createServer(app);
+
+async function start() {
+  // config phải có trên đĩa trước khi nhận request ⇒ DATA_DIR không ghi được thì dừng ở đây
+  await configStore.load();
+  historyStore.load();
+  ledger.load();
+  backtestJobs.load();
+  onlineWeights.replay(ledger.resolved());
+  resolveLedger(historyStore.rows())
+    .catch((e) => console.warn(`⚠️ Ledger resolve lỗi: ${e.message}`));
+  maybeRefitCalibration(historyStore.rows()).catch((e) =>
+    console.warn(`⚠️ Hiệu chuẩn lỗi: ${e.message}`)
+  );
+  historyPoller.start();
+
+  liveHub.attachWebSocket(server, "/api/taixiu/live/ws", {
+    admit: admitWebSocket,
+    // upgrade không qua middleware Express: ngôn ngữ từ ?lang / Accept-Language (req.query do admit gắn)
+    locale: (req) => ({ lang: i18n.resolveLang(req), keyLang: i18n.resolveKeyLang(req) })
+  });
+  server.listen(PORT, () => {
+    console.log(`✅ TaiXiu Advanced Ensemble API running on :${PORT}`);
+  });
+}
+
+start().catch((e) => {
+  console.error(`❌ Không khởi động được: ${e.message}`);
+  process.exit(1);
 });
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { ModelRegistry } = require("../lib/modelRegistry");
+const { walkForward, calibrationPoints } = require("../lib/backtest");
+const { Calibrator, rawConfidence } = require("../lib/calibration");
+const { riskFromConfidence } = require("../lib/format");
+const stats = require("../lib/stats");
+
+// chuỗi phiên tái lập được: xúc xắc từ PRNG có seed, R theo tổng
+function syntheticRows(n, seed = 7) {
+  const rand = stats.mulberry32(seed);
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const faces = [0, 0, 0].map(() => 1 + Math.floor(rand() * 6));
+    const total = faces[0] + faces[1] + faces[2];
+    rows.push({ session: 1000 + i, dice: faces.join("-"), total, R: total >= 11 ? "T" : "X", flags: [] });
+  }
+  return rows;
+}
+
+test("rawConfidence là max(pT, 1 − pT) của ensemble", () => {
+  assert.equal(rawConfidence({ pT: 0.3, confidence: 0.5 }), 0.7);
+  assert.equal(rawConfidence({ pT: 0.62, confidence: 0.5 }), 0.62);
+  assert.equal(rawConfidence({ error: "Insufficient data" }), 0.5);
+});
+
+test("điểm fit từ walk-forward thật có độ tin cậy thô thay đổi", async () => {
+  const registry = new ModelRegistry();
+  registry.loadDirectory(path.join(__dirname, "..", "models"));
+  const steps = await walkForward(syntheticRows(400), { predictorOptions: { registry } });
+  const points = calibrationPoints(steps);
+
+  assert.equal(points.length, steps.length);
+  for (const p of points) assert.ok(p.x >= 0.5 && p.x <= 1, `x ngoài [0.5, 1]: ${p.x}`);
+  const distinct = new Set(points.map((p) => p.x.toFixed(3)));
+  assert.ok(distinct.size > 20, `chỉ có ${distinct.size} giá trị thô khác nhau`);
+});
+
+test("hiệu chuẩn trên đầu vào thay đổi cho đường cong không phẳng và nhiều mức rủi ro", () => {
+  // tần suất trúng tăng theo x: đúng với xác suất x
+  const rand = stats.mulberry32(11);
+  const points = [];
+  for (let i = 0; i < 3000; i++) {
+    const x = 0.5 + rand() * 0.45;
+    points.push({ x, y: rand() < x ? 1 : 0 });
+  }
+  for (const method of ["isotonic", "platt"]) {
+    const cal = new Calibrator({ method, minSamples: 300 }).fit(points);
+    assert.equal(cal.status, "fitted");
+    const low = cal.apply(0.52);
+    const high = cal.apply(0.93);
+    assert.ok(high - low > 0.2, `${method}: ${low} → ${high}`);
+    const bands = new Set([0.52, 0.7, 0.93].map((x) => riskFromConfidence(cal.apply(x))));
+    assert.ok(bands.size >= 2, `${method}: chỉ một mức rủi ro`);
+  }
+  const isotonic = new Calibrator({ method: "isotonic", minSamples: 300 }).fit(points);
+  assert.ok(isotonic.model.steps.length > 1);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ConfigStore } = require("../lib/configStore");
+
+const DEFAULTS = { dataWindow: 300, predictionThreshold: 0.72, adaptiveLearningRate: 0.1, ensembleWeights: null };
+
+async function freshStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "taixiu-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const options = {
+    file: path.join(dir, "config.ndjson"),
+    auditFile: path.join(dir, "audit.ndjson"),
+    defaults: DEFAULTS
+  };
+  const store = new ConfigStore(options);
+  await store.load();
+  return { store, options };
+}
+
+test("PATCH song song ⇒ mỗi thay đổi một phiên bản riêng, file khớp bộ nhớ", async (t) => {
+  const { store, options } = await freshStore(t);
+  const recs = await Promise.all(
+    [301, 302, 303].map((dataWindow) => store.update({ dataWindow }, { actor: "test" }))
+  );
+  assert.deepEqual(recs.map((r) => r.version), [2, 3, 4]);
+  assert.equal(store.version, 4);
+
+  const reloaded = new ConfigStore(options);
+  await reloaded.load();
+  assert.deepEqual(reloaded.versions().map((v) => v.version), [4, 3, 2, 1]);
+  assert.deepEqual(reloaded.versions().map((v) => v.config.dataWindow), [303, 302, 301, 300]);
+});
+
+test("baseVersion được kiểm tra trong khoá ⇒ chỉ một PATCH song song thắng", async (t) => {
+  const { store } = await freshStore(t);
+  const results = await Promise.allSettled(
+    [0.6, 0.65, 0.7].map((predictionThreshold) =>
+      store.update({ predictionThreshold }, { actor: "test", baseVersion: 1 })
+    )
+  );
+  assert.deepEqual(results.map((r) => r.status), ["fulfilled", "rejected", "rejected"]);
+  assert.ok(results.slice(1).every((r) => r.reason.status === 409));
+  assert.equal(store.version, 2);
+});
+
+test("rollback song song với update vẫn đánh số tuần tự", async (t) => {
+  const { store } = await freshStore(t);
+  await store.update({ dataWindow: 400 }, { actor: "test" });
+  const [a, b] = await Promise.all([
+    store.rollback(1, { actor: "test" }),
+    store.update({ dataWindow: 500 }, { actor: "test" })
+  ]);
+  assert.deepEqual([a.version, b.version], [3, 4]);
+  assert.equal(store.config.dataWindow, 500);
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../lib/i18n");
+const { RowExporter } = require("../lib/export");
+
+// req tối giản: query + header như Express
+function fakeReq(query = {}, headers = {}) {
+  return { query, get: (name) => headers[name.toLowerCase()] };
+}
+
+test("chỉ ?lang tường minh mới đổi ngôn ngữ key", () => {
+  const browser = fakeReq({}, { "accept-language": "en-US,en;q=0.9" });
+  assert.equal(i18n.resolveLang(browser), "en");
+  assert.equal(i18n.resolveKeyLang(browser), "vi");
+
+  const explicit = fakeReq({ lang: "en" }, { "accept-language": "vi" });
+  assert.equal(i18n.resolveLang(explicit), "en");
+  assert.equal(i18n.resolveKeyLang(explicit), "en");
+});
+
+test("Accept-Language chỉ đổi nhãn, giữ key tiếng Việt", () => {
+  const body = { phien: 100, ket_qua: "Tài", rui_ro: "thấp" };
+  const labelsOnly = i18n.localize(body, "en", "vi");
+  assert.deepEqual(Object.keys(labelsOnly), ["phien", "ket_qua", "rui_ro"]);
+  assert.equal(labelsOnly.ket_qua, i18n.label("en", "T"));
+  assert.equal(labelsOnly.rui_ro, i18n.t("en", "risk.low"));
+
+  const renamed = i18n.localize(body, "en");
+  assert.deepEqual(Object.keys(renamed), ["session", "result", "risk"]);
+  assert.equal(renamed.result, i18n.label("en", "T"));
+});
+
+test("ô boolean của CSV theo catalog, NDJSON giữ true/false", async () => {
+  const exportRow = async (format, lang) => {
+    const chunks = [];
+    const res = { set() {}, write: (s) => chunks.push(s), end() {}, destroyed: false, writableEnded: false };
+    const out = new RowExporter(res, { format, kind: "backtest", lang, keyLang: "vi" }).start();
+    await out.write({ phien: 1, phien_sau: 2, thuc_te: "Tài", dung_khong: false });
+    return chunks[chunks.length - 1].trim();
+  };
+  assert.ok((await exportRow("csv", "vi")).endsWith(",Tài,Không,"));
+  assert.ok((await exportRow("csv", "en")).endsWith(",Big,No,"));
+  assert.equal(JSON.parse(await exportRow("ndjson", "en")).dung_khong, false);
+});
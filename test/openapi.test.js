@@ -0,0 +1,192 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const net = require("net");
+const { spawn } = require("child_process");
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+/* =======================
+ * Response thật của server.js phải khớp tài liệu OpenAPI nó tự phục vụ
+ * ======================= */
+
+const ROOT = path.join(__dirname, "..");
+const ADMIN_TOKEN = "test-admin";
+
+// nguồn giả: 300 phiên theo mapping mặc định (Phien, Xuc_xac_1..3, Tong, Ket_qua), mới nhất trước
+function sourceRows(n = 300) {
+  let seed = 42;
+  const rand = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const d = [0, 0, 0].map(() => 1 + Math.floor(rand() * 6));
+    const total = d[0] + d[1] + d[2];
+    rows.push({
+      Phien: 100000 + i,
+      Xuc_xac_1: d[0],
+      Xuc_xac_2: d[1],
+      Xuc_xac_3: d[2],
+      Tong: total,
+      Ket_qua: total >= 11 ? "Tài" : "Xỉu"
+    });
+  }
+  return rows.reverse();
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+async function freePort() {
+  const probe = net.createServer();
+  const port = await listen(probe);
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+/**
+ * OpenAPI 3.0 ⇒ JSON Schema cho ajv, đúng ngữ nghĩa 3.0: key cạnh $ref bị bỏ qua (kể cả nullable),
+ * nullable: true ⇒ anyOf [schema, null], exclusiveMinimum/Maximum dạng boolean (draft 4) ⇒ dạng số
+ */
+function toJsonSchema(node) {
+  if (Array.isArray(node)) return node.map(toJsonSchema);
+  if (!node || typeof node !== "object") return node;
+  if (typeof node.$ref === "string") return { $ref: node.$ref };
+  const { nullable, ...rest } = node;
+  const out = Object.fromEntries(Object.entries(rest).map(([k, v]) => [k, toJsonSchema(v)]));
+  for (const [flag, bound] of [["exclusiveMinimum", "minimum"], ["exclusiveMaximum", "maximum"]]) {
+    if (typeof out[flag] !== "boolean") continue;
+    if (out[flag]) out[flag] = out[bound];
+    else delete out[flag];
+    if (out[flag] != null) delete out[bound];
+  }
+  return nullable === true ? { anyOf: [out, { type: "null" }] } : out;
+}
+
+// JSON pointer (RFC 6901) trong fragment URI
+const pointer = (...parts) =>
+  parts.map((p) => encodeURIComponent(String(p).replace(/~/g, "~0").replace(/\//g, "~1"))).join("/");
+
+/** Validator cho response `status` của operation; theo $ref tới components.responses nếu có */
+function responseValidator(ajv, doc, route, method, status, media = "application/json") {
+  const response = doc.paths[route]?.[method]?.responses?.[status];
+  assert.ok(response, `tài liệu thiếu ${method.toUpperCase()} ${route} ${status}`);
+  const base = response.$ref ?? `#/${pointer("paths", route, method, "responses", status)}`;
+  return ajv.compile({ $ref: `openapi${base}/${pointer("content", media, "schema")}` });
+}
+
+function assertValid(validate, body, label) {
+  const ok = validate(body);
+  assert.ok(ok, `${label}: ${JSON.stringify(validate.errors?.slice(0, 5), null, 2)}`);
+}
+
+test("response thật khớp tài liệu OpenAPI (vi & ?lang=en)", { timeout: 120000 }, async (t) => {
+  const rows = sourceRows();
+  const upstream = http.createServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify(rows));
+  });
+  const upstreamPort = await listen(upstream);
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "taixiu-openapi-"));
+  const server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SOURCE_URL: `http://127.0.0.1:${upstreamPort}/`,
+      SOURCE_URLS: "",
+      SOURCES_CONFIG: "",
+      DATA_DIR: dataDir,
+      POLL_INTERVAL_MS: "600000",
+      ADMIN_TOKEN,
+      ANON_RATE_PER_MIN: "100000",
+      ANON_DAILY_QUOTA: "1000000"
+    },
+    stdio: ["ignore", "ignore", "pipe"]
+  });
+  let stderr = "";
+  server.stderr.on("data", (chunk) => (stderr += chunk));
+  t.after(async () => {
+    server.kill();
+    await new Promise((resolve) => upstream.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const base = `http://127.0.0.1:${port}/api/taixiu`;
+  const call = async (url, init = {}) => {
+    const res = await fetch(`${base}${url}`, init);
+    const text = await res.text();
+    return { status: res.status, type: res.headers.get("content-type") ?? "", text };
+  };
+
+  // chờ server nghe & đã lấy đủ lịch sử từ nguồn giả
+  for (let i = 0; ; i++) {
+    assert.ok(server.exitCode == null, `server dừng: ${stderr}`);
+    const r = await call("/history?limit=1").catch(() => null);
+    if (r?.status === 200 && JSON.parse(r.text).total === rows.length) break;
+    assert.ok(i < 100, "server không sẵn sàng sau 20s");
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  const session = JSON.parse((await call("/history?offset=250&limit=1")).text).data[0].phien;
+  const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+  const cases = [
+    ["get", "/history", "/history?limit=5", 200],
+    ["get", "/history", "/history?limit=5&format=ndjson", 200, "application/x-ndjson"],
+    ["get", "/history", "/history?limit=abc", 400],
+    ["get", "/quality", "/quality", 200],
+    ["get", "/weights", "/weights", 200],
+    ["get", "/calibration", "/calibration", 200],
+    ["get", "/regimes", "/regimes", 200],
+    ["get", "/predict", "/predict", 200],
+    ["get", "/predict", `/predict?asOf=${session}`, 200],
+    ["get", "/predict", "/predict?asOf=1", 404],
+    ["get", "/predict/stream", "/predict/stream?limit=60", 200],
+    ["get", "/predict/stream", "/predict/stream?limit=60&format=ndjson", 200, "application/x-ndjson"],
+    ["get", "/ledger", "/ledger", 200],
+    ["get", "/backtest", "/backtest?limit=150", 200],
+    ["get", "/backtest/jobs", "/backtest/jobs", 200],
+    ["post", "/backtest/jobs", "/backtest/jobs", 401],
+    ["get", "/randomness", "/randomness", 200],
+    ["get", "/ingest", "/ingest", 200],
+    ["get", "/admin/config", "/admin/config", 200, "application/json", admin],
+    ["get", "/admin/config", "/admin/config", 401],
+    ["get", "/admin/config/versions", "/admin/config/versions", 200, "application/json", admin],
+    ["get", "/admin/audit", "/admin/audit", 200, "application/json", admin],
+    ["post", "/admin/keys", "/admin/keys", 201, "application/json", admin, { name: "openapi-test" }],
+    ["get", "/admin/keys", "/admin/keys", 200, "application/json", admin]
+  ];
+
+  for (const lang of ["vi", "en"]) {
+    const doc = JSON.parse((await call(`/openapi.json?lang=${lang}`)).text);
+    const ajv = new Ajv({ strict: false, allErrors: true });
+    addFormats(ajv);
+    ajv.addSchema(toJsonSchema(doc), "openapi");
+
+    for (const [method, route, url, status, media = "application/json", headers = {}, body] of cases) {
+      const label = `${method.toUpperCase()} ${url} (${lang})`;
+      const sep = url.includes("?") ? "&" : "?";
+      const init = { method: method.toUpperCase(), headers: { ...headers } };
+      if (body) {
+        init.headers["content-type"] = "application/json";
+        init.body = JSON.stringify(body);
+      }
+      const res = await call(`${url}${sep}lang=${lang}`, init);
+      assert.equal(res.status, status, `${label}: ${res.text.slice(0, 200)}`);
+      assert.ok(res.type.startsWith(media), `${label}: content-type ${res.type}`);
+
+      const validate = responseValidator(ajv, doc, `/api/taixiu${route}`, method, status, media);
+      if (media === "application/x-ndjson") {
+        const lines = res.text.split("\n").filter(Boolean);
+        assert.ok(lines.length > 0, `${label}: không có dòng`);
+        for (const line of lines) assertValid(validate, JSON.parse(line), label);
+      } else {
+        assertValid(validate, JSON.parse(res.text), label);
+      }
+    }
+  }
+});